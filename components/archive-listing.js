@@ -0,0 +1,69 @@
+/**
+ * ARCHIVE LISTING COMPONENT (archive-listing.js)
+ *
+ * Purpose: This component renders the body of a year or month archive page:
+ * a heading naming the period, the posts published in it, and a link back
+ * to the archive index. It is shared by pages/archive/[year]/index.js and
+ * pages/archive/[year]/[month].js.
+ *
+ * Example Usage:
+ * <ArchiveListing period={{ year: 2025, month: 11 }} posts={posts} />
+ */
+
+// Import the Link component from Next.js for client-side navigation between pages
+import Link from 'next/link';
+
+// Import the Head component from Next.js for managing the page title
+import Head from 'next/head';
+
+// Import the Layout component and siteTitle constant from the layout component
+import Layout, { siteTitle } from './layout';
+
+// Import the shared post list component
+import PostList from './post-list';
+
+// Import the archive URL and heading helpers
+import { archivePath, periodLabel } from '../lib/archive';
+
+// Import CSS module styles for utility classes (typography, spacing, etc.)
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * ArchiveListing - Page body listing every post from one year or month
+ *
+ * @param {object} props - Component props
+ * @param {object} props.period - { year, month } with month null for a whole year
+ * @param {Array} props.posts - Posts published in the period
+ * @returns {JSX.Element} The rendered archive page
+ */
+export default function ArchiveListing({ period, posts }) {
+  const label = periodLabel(period);
+
+  return (
+    <Layout>
+      {/* Set the page title to the period */}
+      <Head>
+        <title>{`Archive: ${label} - ${siteTitle}`}</title>
+      </Head>
+
+      <section className={utilStyles.headingMd}>
+        <h2 className={utilStyles.headingLg}>
+          Archive: {label} ({posts.length} {posts.length === 1 ? 'post' : 'posts'})
+        </h2>
+
+        <PostList posts={posts} />
+
+        {/* Month pages also link to their year */}
+        <p>
+          {period.month && (
+            <>
+              <Link href={archivePath(period.year)}>All of {period.year}</Link>
+              {' · '}
+            </>
+          )}
+          <Link href={archivePath()}>All archives</Link>
+        </p>
+      </section>
+    </Layout>
+  );
+}
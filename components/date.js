@@ -1,52 +1,121 @@
 /**
  * DATE COMPONENT (date.js)
- * 
+ *
  * Purpose: This component formats and displays dates in a consistent, readable format
- * throughout the application. It handles the conversion from WordPress date format
- * to a human-readable display format.
- * 
+ * throughout the application. The parsing and formatting rules live in lib/dates.js.
+ *
  * Key Features:
- * - Converts WordPress date format ("YYYY-MM-DD HH:MM:SS") to ISO-8601 format
- * - Formats dates as "Month Day, Year" (e.g., "November 5, 2025")
- * - Uses semantic HTML <time> element with datetime attribute for accessibility
- * - Utilizes date-fns library for reliable date parsing and formatting
- * 
+ * - Formats dates as "Month Day, Year" (e.g., "November 5, 2025") in the site
+ *   time zone (NEXT_PUBLIC_SITE_TIMEZONE)
+ * - Renders nothing for a missing or invalid date instead of crashing the page
+ * - Optional relative display ("3 days ago"), with the full date as a tooltip
+ * - Optional "Updated" note when the post was edited on a later day
+ * - Optional link from the date to its month archive (/archive/2025/11)
+ * - Uses semantic HTML <time> elements with datetime attributes for accessibility
+ *
  * Example Usage:
- * <Date dateString="2025-11-05 09:19:03" />
- * 
+ * <Date dateString="2025-11-05T14:19:03.000Z" />
+ * <Date dateString={post.date} modifiedString={post.modified} />
+ * <Date dateString={post.date} relative />
+ * <Date dateString={post.date} linkToArchive />
+ *
  * Renders as:
- * <time datetime="2025-11-05T09:19:03">November 5, 2025</time>
+ * <time datetime="2025-11-05T14:19:03.000Z">November 5, 2025</time>
+ * <time ...>November 5, 2025</time> · Updated <time ...>November 9, 2025</time>
  */
 
-// Import date utility functions from date-fns library
-import { parseISO, format } from 'date-fns';
- 
+// Import React hooks for the browser-only relative text
+import { useEffect, useState } from 'react';
+
+// Import the Link component from Next.js for the archive link
+import Link from 'next/link';
+
+// Import the shared date formatting rules
+import { dateTimeAttribute, formatPostDate, formatRelativeDate, isUpdatedLater, postDateParts } from '../lib/dates';
+
+// Import the archive URL and heading helpers
+import { archivePath, periodLabel } from '../lib/archive';
+
+/**
+ * useRelativeDate - Describe a date relative to now, once in the browser
+ *
+ * Statically generated HTML is built long before it is viewed, so the
+ * relative text is only filled in after hydration; until then (and
+ * without JavaScript) the absolute date shows.
+ *
+ * @param {string} dateString - The date to describe
+ * @param {boolean} enabled - Whether relative display was requested
+ * @returns {string|null} Text such as "3 days ago", or null before hydration
+ */
+function useRelativeDate(dateString, enabled) {
+  const [relativeText, setRelativeText] = useState(null);
+
+  useEffect(() => {
+    setRelativeText(enabled ? formatRelativeDate(dateString) : null);
+  }, [dateString, enabled]);
+
+  return relativeText;
+}
+
 /**
- * Date - Format and display a date string
- * 
- * This component takes a WordPress-formatted date string, converts it to
- * ISO-8601 format, and displays it in a human-readable format using the
- * semantic HTML <time> element.
- * 
- * WordPress Date Format: "2025-11-05 09:19:03" (space between date and time)
- * ISO-8601 Format: "2025-11-05T09:19:03" (T between date and time)
+ * PostTime - Render one date as a <time> element
+ *
+ * @param {object} props - Component props
+ * @param {string} props.dateString - The date to show
+ * @param {boolean} props.relative - Show "3 days ago" instead of the date
+ * @returns {JSX.Element|null} Time element, or null if the date is invalid
+ */
+function PostTime({ dateString, relative }) {
+  const relativeText = useRelativeDate(dateString, relative);
+  const formatted = formatPostDate(dateString);
+  if (!formatted) {
+    return null;
+  }
+
+  return (
+    <time dateTime={dateTimeAttribute(dateString)} title={relativeText ? formatted : undefined}>
+      {relativeText || formatted}
+    </time>
+  );
+}
+
+/**
+ * Date - Format and display a post date
+ *
+ * Accepted Date Formats (see lib/dates.js):
+ * - UTC timestamps: "2025-11-05T14:19:03.000Z" (WordPress), shown in the site time zone
+ * - Calendar dates: "2025-11-05" (markdown front matter), shown as written
  * Display Format: "November 5, 2025" (full month name, day, year)
- * 
+ *
  * @param {object} props - Component props
- * @param {string} props.dateString - Date string from WordPress API
- * @returns {JSX.Element} Formatted time element with readable date
+ * @param {string} props.dateString - Publication date
+ * @param {string} [props.modifiedString] - Last edit date; adds "· Updated <date>"
+ *                                          when it falls on a later day
+ * @param {boolean} [props.relative=false] - Show "3 days ago" style text in the browser
+ * @param {boolean} [props.linkToArchive=false] - Link the publication date to its month archive
+ * @returns {JSX.Element|null} Formatted time element(s), or null if the date is missing or invalid
  */
-export default function Date({ dateString }) {
-  // Convert WordPress date format to ISO-8601 format by replacing space with 'T'
-  // WordPress returns: "2025-11-05 09:19:03"
-  // ISO-8601 needs:    "2025-11-05T09:19:03"
-  const isoDateString = dateString.replace(' ', 'T');
-  
-  // Parse the ISO date string into a JavaScript Date object
-  const date = parseISO(isoDateString);
-  
-  // Return semantic HTML time element with machine-readable datetime attribute
-  // and human-readable formatted date display
-  // Format pattern 'LLLL d, yyyy' produces: "November 5, 2025"
-  return <time dateTime={isoDateString}>{format(date, 'LLLL d, yyyy')}</time>;
+export default function Date({ dateString, modifiedString, relative = false, linkToArchive = false }) {
+  const parts = postDateParts(dateString);
+  if (!parts) {
+    return null;
+  }
+
+  const published = <PostTime dateString={dateString} relative={relative} />;
+
+  return (
+    <>
+      {linkToArchive ? (
+        <Link href={archivePath(parts.year, parts.month)} title={`More posts from ${periodLabel(parts)}`}>
+          {published}
+        </Link>
+      ) : published}
+      {modifiedString && isUpdatedLater(dateString, modifiedString) && (
+        <>
+          {' · Updated '}
+          <PostTime dateString={modifiedString} relative={relative} />
+        </>
+      )}
+    </>
+  );
 }
@@ -0,0 +1,40 @@
+/**
+ * HIGHLIGHT COMPONENT (highlight.js)
+ *
+ * Purpose: This component renders text with the words that matched a
+ * search wrapped in <mark>, for the /search results.
+ *
+ * Example Usage:
+ * <Highlight text="No Kitty that's my pot pie" terms={['kitty']} />
+ *
+ * Renders as:
+ * No <mark>Kitty</mark> that's my pot pie
+ */
+
+// Import the helper that splits text into matched and unmatched pieces
+import { highlightSegments } from '../lib/search';
+
+// Import CSS module styles for the highlight color
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * Highlight - Render text with matched terms marked
+ *
+ * @param {object} props - Component props
+ * @param {string} props.text - The text to show
+ * @param {Array<string>} props.terms - Matched terms from a search result
+ * @returns {JSX.Element} The text with <mark> around each match
+ */
+export default function Highlight({ text, terms }) {
+  return (
+    <>
+      {highlightSegments(text, terms).map((segment, index) =>
+        segment.match ? (
+          <mark key={index} className={utilStyles.highlight}>{segment.text}</mark>
+        ) : (
+          segment.text
+        )
+      )}
+    </>
+  );
+}
@@ -9,15 +9,18 @@
  * - Wraps all pages with consistent header and navigation
  * - Displays profile image (larger on home, smaller on other pages)
  * - Provides "Back to home" link on non-home pages
- * - Includes SEO meta tags (Open Graph, Twitter Card)
- * - Exports site title for reuse across pages
+ * - Includes per-page SEO meta tags (description, canonical URL, Open Graph,
+ *   Twitter Card) and feed discovery links
+ * - Exports site title and author name for reuse across pages and feeds
  * 
  * Props:
  * - children: Page content to render inside the layout
  * - home: Boolean flag indicating if this is the home page (affects header size)
+ * - meta: Optional page metadata from lib/metadata.js (pageMeta() / postMeta());
+ *   pages without it get the site title and description
  * 
  * Example Usage:
- * <Layout home>
+ * <Layout home meta={meta}>
  *   <YourPageContent />
  * </Layout>
  */
@@ -36,12 +39,18 @@ import utilStyles from '../styles/utils.module.css';
 
 // Import Link component for client-side navigation
 import Link from 'next/link';
+
+// Import the feed URLs for the feed discovery links
+import { FEED_PATHS } from '../lib/feeds';
  
-// Site owner's name displayed in header
-const name = 'Philip Weyhe';
+// Site owner's name displayed in header (also used as the author in feeds)
+export const authorName = 'Philip Weyhe';
 
 // Site title exported for use in page titles throughout the app
 export const siteTitle = "Philip Weyhe's Favorite Videos";
+
+// One-line site description, used by the syndication feeds
+export const siteDescription = "Philip Weyhe's favorite videos, with a few words about each one.";
  
 /**
  * Layout - Main layout wrapper component
@@ -59,35 +68,59 @@ export const siteTitle = "Philip Weyhe's Favorite Videos";
  * @param {object} props - Component props
  * @param {React.ReactNode} props.children - Child components/content to render in main area
  * @param {boolean} props.home - True if rendering the home page (affects header size)
+ * @param {object} [props.meta] - Page metadata (title, description, url, type, image,
+ *                                publishedTime, modifiedTime, tags)
  * @returns {JSX.Element} The layout wrapper with header, main content, and footer
  */
-export default function Layout({ children, home }) {
+export default function Layout({ children, home, meta = {} }) {
+  const {
+    title = siteTitle,
+    url,
+    type = 'website',
+    image,
+    publishedTime,
+    modifiedTime,
+    tags = [],
+  } = meta;
+
+  // An empty excerpt ('') falls back too, not just a missing one
+  const description = meta.description || siteDescription;
+
   return (
     <div className={styles.container}>
       {/* Document head with meta tags for SEO and social sharing */}
       <Head>
         {/* Favicon link */}
         <link rel="icon" href="/favicon.ico" />
+
+        {/* Feed discovery links so browsers and feed readers find the subscriptions */}
+        <link rel="alternate" type="application/rss+xml" title={siteTitle} href={FEED_PATHS.rss} />
+        <link rel="alternate" type="application/atom+xml" title={siteTitle} href={FEED_PATHS.atom} />
+        <link rel="alternate" type="application/feed+json" title={siteTitle} href={FEED_PATHS.json} />
         
         {/* Meta description for search engines */}
-        <meta
-          name="description"
-          content="Learn how to build a personal website using Next.js"
-        />
-        
-        {/* Open Graph image for social media sharing */}
-        <meta
-          property="og:image"
-          content={`https://og-image.vercel.app/${encodeURI(
-            siteTitle,
-          )}.png?theme=light&md=0&fontSize=75px&images=https%3A%2F%2Fassets.vercel.com%2Fimage%2Fupload%2Ffront%2Fassets%2Fdesign%2Fnextjs-black-logo.svg`}
-        />
+        <meta name="description" content={description} />
+
+        {/* Canonical URL, so copies of the page (query strings, old URLs) rank as one */}
+        {url && <link rel="canonical" href={url} />}
         
-        {/* Open Graph title for social media sharing */}
-        <meta name="og:title" content={siteTitle} />
+        {/* Open Graph tags for social media sharing */}
+        <meta property="og:type" content={type} />
+        <meta property="og:site_name" content={siteTitle} />
+        <meta property="og:title" content={title} />
+        <meta property="og:description" content={description} />
+        {url && <meta property="og:url" content={url} />}
+        {image && <meta property="og:image" content={image} />}
+
+        {/* Article details (post pages only) */}
+        {publishedTime && <meta property="article:published_time" content={publishedTime} />}
+        {modifiedTime && <meta property="article:modified_time" content={modifiedTime} />}
+        {tags.map(tag => (
+          <meta property="article:tag" content={tag} key={tag} />
+        ))}
         
         {/* Twitter Card type for Twitter sharing */}
-        <meta name="twitter:card" content="summary_large_image" />
+        <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
       </Head>
       
       {/* Header section with profile image and name */}
@@ -103,7 +136,7 @@ export default function Layout({ children, home }) {
               width={144}
               alt=""                // Decorative image, screen readers can skip
             />
-            <h1 className={utilStyles.heading2Xl}>{name}</h1>
+            <h1 className={utilStyles.heading2Xl}>{authorName}</h1>
           </>
         ) : (
           // Non-home page header: Smaller image with h2 heading (both clickable)
@@ -123,7 +156,7 @@ export default function Layout({ children, home }) {
             {/* Clickable name heading links back to home */}
             <h2 className={utilStyles.headingLg}>
               <Link href="/" className={utilStyles.colorInherit}>
-                {name}
+                {authorName}
               </Link>
             </h2>
           </>
@@ -0,0 +1,59 @@
+/**
+ * OPEN GRAPH CARD COMPONENT (og-card.js)
+ *
+ * Purpose: This component is the layout of the 1200x630 sharing image that
+ * social networks and chat apps show for links to the site. It is rendered
+ * to PNG by /api/og with next/og, not in the browser, so it may only use
+ * inline styles and flexbox (the subset next/og supports).
+ *
+ * Example Usage (in an ImageResponse):
+ * <OgCard title="Starvin' Marvin" date="January 4, 2020" author="Philip Weyhe" avatar={dataUrl} />
+ */
+
+// Colors of the site's green-on-black theme (styles/global.css)
+const BACKGROUND = '#000000';
+const GREEN = '#00ff00';
+const LIGHT_GREEN = '#00ff88';
+
+/**
+ * OgCard - Sharing image layout
+ *
+ * @param {object} props - Component props
+ * @param {string} props.title - Post (or site) title, the largest text on the card
+ * @param {string} [props.date] - Formatted publication date
+ * @param {string} props.author - Author name shown next to the photo
+ * @param {string} props.avatar - Profile photo as a data: URL
+ * @param {string} props.site - Site title shown at the top
+ * @returns {JSX.Element} The card
+ */
+export default function OgCard({ title, date, author, avatar, site }) {
+  return (
+    <div
+      style={{
+        width: '100%',
+        height: '100%',
+        display: 'flex',
+        flexDirection: 'column',
+        justifyContent: 'space-between',
+        padding: '64px 72px',
+        backgroundColor: BACKGROUND,
+        border: `12px solid ${GREEN}`,
+        color: GREEN,
+      }}
+    >
+      <div style={{ display: 'flex', fontSize: 32, color: LIGHT_GREEN }}>{site}</div>
+
+      <div style={{ display: 'flex', fontSize: title.length > 60 ? 56 : 72, lineHeight: 1.15 }}>
+        {title}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <img src={avatar} width={96} height={96} style={{ borderRadius: 48, border: `3px solid ${GREEN}` }} />
+        <div style={{ display: 'flex', flexDirection: 'column', marginLeft: 28 }}>
+          <div style={{ display: 'flex', fontSize: 36 }}>{author}</div>
+          {date && <div style={{ display: 'flex', fontSize: 28, color: LIGHT_GREEN }}>{date}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+/**
+ * PAGINATION COMPONENT (pagination.js)
+ *
+ * Purpose: This component renders the previous/next links and numbered page
+ * links below the blog index, so readers can reach older posts.
+ *
+ * Key Features:
+ * - "← Previous" and "Next →" links (shown greyed out on the first/last page)
+ * - One link per page, with the current page highlighted
+ * - Renders nothing when everything fits on one page
+ *
+ * Example Usage:
+ * <Pagination page={2} totalPages={5} />
+ */
+
+// Import the Link component from Next.js for client-side navigation
+import Link from 'next/link';
+
+// Import the helper that builds each index page's URL
+import { pagePath } from '../lib/pagination';
+
+// Import pagination-specific styles
+import styles from './pagination.module.css';
+
+/**
+ * Pagination - Previous/next and numbered links for the blog index
+ *
+ * @param {object} props - Component props
+ * @param {number} props.page - The current page number (starting at 1)
+ * @param {number} props.totalPages - How many index pages exist
+ * @returns {JSX.Element|null} Navigation element, or null for a single page
+ */
+export default function Pagination({ page, totalPages }) {
+  if (totalPages <= 1) {
+    return null;
+  }
+
+  // Build the list of page numbers [1, 2, ..., totalPages]
+  const pages = Array.from({ length: totalPages }, (_, index) => index + 1);
+
+  return (
+    <nav className={styles.pagination} aria-label="Blog pages">
+      {/* Link to the previous page, disabled on page 1 */}
+      {page > 1 ? (
+        <Link href={pagePath(page - 1)} rel="prev">← Previous</Link>
+      ) : (
+        <span className={styles.disabled}>← Previous</span>
+      )}
+
+      {/* Numbered page links */}
+      <ol className={styles.pageList}>
+        {pages.map(number => (
+          <li key={number}>
+            {number === page ? (
+              <span className={styles.current} aria-current="page">{number}</span>
+            ) : (
+              <Link href={pagePath(number)}>{number}</Link>
+            )}
+          </li>
+        ))}
+      </ol>
+
+      {/* Link to the next page, disabled on the last page */}
+      {page < totalPages ? (
+        <Link href={pagePath(page + 1)} rel="next">Next →</Link>
+      ) : (
+        <span className={styles.disabled}>Next →</span>
+      )}
+    </nav>
+  );
+}
@@ -0,0 +1,52 @@
+/**
+ * POST BODY COMPONENT (post-body.js)
+ *
+ * Purpose: This component renders a post's sanitized HTML and swaps every
+ * video placeholder (created by lib/embeds.js) for the VideoEmbed
+ * click-to-load player.
+ *
+ * Example Usage:
+ * <PostBody html={postData.contentHtml} className={utilStyles.blogContent} />
+ */
+
+// Import the parser that turns an HTML string into React elements
+import parse from 'html-react-parser';
+
+// Import the click-to-load YouTube player
+import VideoEmbed from './video-embed';
+
+// Import the video id check
+import { isVideoId } from '../lib/video';
+
+/**
+ * replaceVideoPlaceholder - html-react-parser hook that swaps in VideoEmbed
+ *
+ * Placeholders with a malformed video id are left as they are (a plain
+ * thumbnail link), so the attribute can't be used to load anything else.
+ *
+ * @param {object} domNode - Parsed HTML node
+ * @returns {JSX.Element|undefined} A VideoEmbed for placeholders, undefined to keep the node
+ */
+function replaceVideoPlaceholder(domNode) {
+  if (domNode.attribs && isVideoId(domNode.attribs['data-video-embed'])) {
+    return (
+      <VideoEmbed
+        videoId={domNode.attribs['data-video-embed']}
+        title={domNode.attribs['data-video-title']}
+      />
+    );
+  }
+  return undefined;
+}
+
+/**
+ * PostBody - Render post HTML with interactive video embeds
+ *
+ * @param {object} props - Component props
+ * @param {string} props.html - Sanitized post HTML (from getPostData)
+ * @param {string} [props.className] - Class name for the wrapper element
+ * @returns {JSX.Element} The rendered post content
+ */
+export default function PostBody({ html, className }) {
+  return <div className={className}>{parse(html, { replace: replaceVideoPlaceholder })}</div>;
+}
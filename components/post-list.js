@@ -0,0 +1,67 @@
+/**
+ * POST LIST COMPONENT (post-list.js)
+ *
+ * Purpose: This component renders a list of blog posts as links with their
+ * publication dates, reading time, excerpts and tags. It is shared by the
+ * home page, the numbered blog index pages (/page/2, /page/3, ...) and the
+ * tag/category and archive pages. Fields a list doesn't pass (e.g. the
+ * related posts under a post have no excerpt) are simply left out.
+ *
+ * Example Usage:
+ * <PostList posts={[{ id: '12', slug: 'starvin-marvin', title: 'Starvin\' Marvin', date: '2025-11-05 09:19:03' }]} />
+ */
+
+// Import the Link component from Next.js for client-side navigation between pages
+import Link from 'next/link';
+
+// Import the custom Date component for formatting and displaying post dates
+import Date from './date';
+
+// Import the component that renders tag links
+import TermList from './term-list';
+
+// Import the estimated reading and watch time
+import ReadingTime from './reading-time';
+
+// Import the badge shown on drafts and scheduled posts (SHOW_DRAFTS in dev only)
+import StatusBadge from './status-badge';
+
+// Import the helper that builds each post's URL
+import { postPath } from '../lib/urls';
+
+// Import CSS module styles for utility classes (list, typography)
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * PostList - Render a list of post links with dates
+ *
+ * @param {object} props - Component props
+ * @param {Array} props.posts - Post objects with id, slug, title, date, status, tags, and
+ *                              optionally excerpt, readingMinutes and videoSeconds
+ * @returns {JSX.Element} Unordered list of posts
+ */
+export default function PostList({ posts }) {
+  return (
+    <ul className={utilStyles.list}>
+      {/* Map through each post and render a list item with link and date */}
+      {posts.map(({ id, slug, date, title, status, tags, excerpt, readingMinutes, videoSeconds }) => (
+        <li className={utilStyles.listItem} key={id}>
+          {/* Link to individual post page using dynamic routing */}
+          <Link href={postPath(slug)}>{title}</Link>
+          <StatusBadge status={status} />
+          <br />
+          {/* Display formatted publication date and the estimated time */}
+          <small className={utilStyles.lightText}>
+            <Date dateString={date} />
+            {(readingMinutes > 0 || videoSeconds > 0) && ' · '}
+            <ReadingTime readingMinutes={readingMinutes} videoSeconds={videoSeconds} />
+          </small>
+          {/* Short plain-text preview of the post */}
+          {excerpt && <p className={utilStyles.excerpt}>{excerpt}</p>}
+          {/* Display the post's tags as links to their listing pages */}
+          <TermList taxonomy="tags" terms={tags} />
+        </li>
+      ))}
+    </ul>
+  );
+}
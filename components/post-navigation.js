@@ -0,0 +1,73 @@
+/**
+ * POST NAVIGATION COMPONENT (post-navigation.js)
+ *
+ * Purpose: This component ends every post page with somewhere to go next:
+ * links to the previous and next posts in the index order, and a list of
+ * related posts (picked by lib/related.js).
+ *
+ * Example Usage:
+ * <PostNavigation
+ *   previous={{ id: 'noKitty', slug: 'noKitty', title: 'No Kitty that\'s my pot pie' }}
+ *   next={null}
+ *   related={[{ id: 'starvinMarvin', slug: 'starvinMarvin', title: 'Starvin\' Marvin', date: '2020-01-04', tags: [] }]}
+ * />
+ */
+
+// Import the Link component from Next.js for client-side navigation
+import Link from 'next/link';
+
+// Import the post list used for the related posts
+import PostList from './post-list';
+
+// Import the helper that builds each post's URL
+import { postPath } from '../lib/urls';
+
+// Import post-navigation-specific styles
+import styles from './post-navigation.module.css';
+
+// Import CSS module styles for utility classes (typography)
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * PostNavigation - Previous/next links and related posts
+ *
+ * @param {object} props - Component props
+ * @param {object|null} props.previous - Post before this one ({ id, slug, title }), or null
+ * @param {object|null} props.next - Post after this one ({ id, slug, title }), or null
+ * @param {Array} props.related - Related posts ({ id, slug, title, date, tags })
+ * @returns {JSX.Element|null} The navigation, or null if there is nothing to link to
+ */
+export default function PostNavigation({ previous, next, related }) {
+  if (!previous && !next && related.length === 0) {
+    return null;
+  }
+
+  return (
+    <>
+      {(previous || next) && (
+        <nav className={styles.adjacent} aria-label="More posts">
+          {/* Keep each link on its own side even when the other one is missing */}
+          {previous ? (
+            <Link href={postPath(previous.slug)} rel="prev" className={styles.previous}>
+              ← {previous.title}
+            </Link>
+          ) : (
+            <span />
+          )}
+          {next && (
+            <Link href={postPath(next.slug)} rel="next" className={styles.next}>
+              {next.title} →
+            </Link>
+          )}
+        </nav>
+      )}
+
+      {related.length > 0 && (
+        <section className={utilStyles.headingMd}>
+          <h2 className={utilStyles.headingLg}>Related posts</h2>
+          <PostList posts={related} />
+        </section>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,40 @@
+/**
+ * READING TIME COMPONENT (reading-time.js)
+ *
+ * Purpose: This component shows how long a post takes to read, plus how long
+ * its videos run when that is known (see lib/reading.js).
+ *
+ * Example Usage:
+ * <ReadingTime readingMinutes={post.readingMinutes} videoSeconds={post.videoSeconds} />
+ * <ReadingTime readingMinutes={2} wordCount={412} videoSeconds={253} />
+ *
+ * Renders as:
+ * <span>2 min read · 5 min watch</span>
+ * <span>2 min read (412 words) · 5 min watch</span>
+ */
+
+// Import the watch time rounding
+import { watchMinutes } from '../lib/reading';
+
+/**
+ * ReadingTime - Show the estimated reading and watch time of a post
+ *
+ * @param {object} props - Component props
+ * @param {number} [props.readingMinutes] - Estimated reading time in minutes
+ * @param {number} [props.wordCount] - Number of words; shown with the reading time when given
+ * @param {number|null} [props.videoSeconds] - Total video length, or null if unknown
+ * @returns {JSX.Element|null} The estimate, or null if there is nothing to show
+ */
+export default function ReadingTime({ readingMinutes, wordCount, videoSeconds }) {
+  const parts = [];
+  if (readingMinutes > 0) {
+    parts.push(wordCount > 0
+      ? `${readingMinutes} min read (${wordCount} ${wordCount === 1 ? 'word' : 'words'})`
+      : `${readingMinutes} min read`);
+  }
+  if (watchMinutes(videoSeconds) > 0) {
+    parts.push(`${watchMinutes(videoSeconds)} min watch`);
+  }
+
+  return parts.length > 0 ? <span>{parts.join(' · ')}</span> : null;
+}
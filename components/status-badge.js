@@ -0,0 +1,32 @@
+/**
+ * STATUS BADGE COMPONENT (status-badge.js)
+ *
+ * Purpose: This component marks posts that visitors can't see yet (drafts,
+ * scheduled and unpublished posts). Those posts only reach the pages when
+ * SHOW_DRAFTS=true is set during `next dev`, so the badge never appears on
+ * the live site.
+ *
+ * Example Usage:
+ * <StatusBadge status={postData.status} />
+ *
+ * Renders as:
+ * <span>draft</span>
+ */
+
+// Import CSS module styles for the badge
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * StatusBadge - Show a post's status unless it is published
+ *
+ * @param {object} props - Component props
+ * @param {string} [props.status] - "published", "draft", "scheduled" or "unpublished"
+ * @returns {JSX.Element|null} The badge, or null for published posts
+ */
+export default function StatusBadge({ status }) {
+  if (!status || status === 'published') {
+    return null;
+  }
+
+  return <span className={utilStyles.statusBadge}>{status}</span>;
+}
@@ -0,0 +1,48 @@
+/**
+ * TERM LIST COMPONENT (term-list.js)
+ *
+ * Purpose: This component renders a post's tags or categories as links to
+ * their listing pages (/tags/<slug>, /categories/<slug>).
+ *
+ * Example Usage:
+ * <TermList taxonomy="tags" terms={[{ name: 'South Park', slug: 'south-park' }]} />
+ *
+ * Renders as:
+ * <ul><li><a href="/tags/south-park">#South Park</a></li></ul>
+ */
+
+// Import the Link component from Next.js for client-side navigation
+import Link from 'next/link';
+
+// Import the helper that builds each term's listing page URL
+import { termPath } from '../lib/taxonomy';
+
+// Import CSS module styles for the inline term list
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * TermList - Render tag or category links
+ *
+ * @param {object} props - Component props
+ * @param {string} props.taxonomy - "tags" or "categories"
+ * @param {Array} props.terms - Terms with name and slug
+ * @returns {JSX.Element|null} Inline list of links, or null when there are no terms
+ */
+export default function TermList({ taxonomy, terms }) {
+  if (!terms || terms.length === 0) {
+    return null;
+  }
+
+  return (
+    <ul className={utilStyles.termList} aria-label={taxonomy === 'tags' ? 'Tags' : 'Categories'}>
+      {terms.map(term => (
+        <li key={term.slug}>
+          {/* Tags get a "#" prefix so they read differently from categories */}
+          <Link href={termPath(taxonomy, term.slug)}>
+            {taxonomy === 'tags' ? `#${term.name}` : term.name}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
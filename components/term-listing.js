@@ -0,0 +1,55 @@
+/**
+ * TERM LISTING COMPONENT (term-listing.js)
+ *
+ * Purpose: This component renders the body of a tag or category page: a
+ * heading naming the term and the list of posts filed under it. It is shared
+ * by pages/tags/[tag].js and pages/categories/[slug].js.
+ *
+ * Example Usage:
+ * <TermListing taxonomy="tags" term={{ name: 'South Park', slug: 'south-park' }} posts={posts} />
+ */
+
+// Import the Head component from Next.js for managing the page title
+import Head from 'next/head';
+
+// Import the Layout component and siteTitle constant from the layout component
+import Layout, { siteTitle } from './layout';
+
+// Import the shared post list component
+import PostList from './post-list';
+
+// Import the taxonomy labels ("Tag", "Category")
+import { TAXONOMIES } from '../lib/taxonomy';
+
+// Import CSS module styles for utility classes (typography, spacing, etc.)
+import utilStyles from '../styles/utils.module.css';
+
+/**
+ * TermListing - Page body listing every post with one tag or category
+ *
+ * @param {object} props - Component props
+ * @param {string} props.taxonomy - "tags" or "categories"
+ * @param {object} props.term - The term's name and slug
+ * @param {Array} props.posts - Posts filed under the term
+ * @returns {JSX.Element} The rendered listing page
+ */
+export default function TermListing({ taxonomy, term, posts }) {
+  const { label } = TAXONOMIES[taxonomy];
+
+  return (
+    <Layout>
+      {/* Set the page title to the term name */}
+      <Head>
+        <title>{`${label}: ${term.name} - ${siteTitle}`}</title>
+      </Head>
+
+      <section className={utilStyles.headingMd}>
+        <h2 className={utilStyles.headingLg}>
+          {label}: {term.name} ({posts.length} {posts.length === 1 ? 'post' : 'posts'})
+        </h2>
+
+        <PostList posts={posts} />
+      </section>
+    </Layout>
+  );
+}
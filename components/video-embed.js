@@ -0,0 +1,67 @@
+/**
+ * VIDEO EMBED COMPONENT (video-embed.js)
+ *
+ * Purpose: This component shows a YouTube video as a lightweight thumbnail
+ * "facade" and only loads the real player when the visitor clicks it. Pages
+ * with several videos load much faster, and YouTube sets no cookies until
+ * someone actually plays a video.
+ *
+ * Key Features:
+ * - Thumbnail with a play button until clicked (no YouTube scripts loaded)
+ * - Loads the player with autoplay on click, so one click starts the video
+ * - Uses youtube-nocookie.com (privacy-enhanced mode) by default
+ * - Responsive 16:9 frame
+ *
+ * Example Usage:
+ * <VideoEmbed videoId="621LzO0qWnU" title="Favorite video" />
+ * <VideoEmbed videoId="621LzO0qWnU" title="Favorite video" privacy={false} />
+ */
+
+// Import React's state hook to remember whether the player was requested
+import { useState } from 'react';
+
+// Import the YouTube URL helpers
+import { embedUrl, thumbnailUrl } from '../lib/video';
+
+// Import video-embed-specific styles
+import styles from './video-embed.module.css';
+
+/**
+ * VideoEmbed - Click-to-load YouTube player
+ *
+ * @param {object} props - Component props
+ * @param {string} props.videoId - The 11-character YouTube video id
+ * @param {string} [props.title='YouTube video'] - Accessible title for the video
+ * @param {boolean} [props.privacy=true] - Load the player from youtube-nocookie.com
+ * @returns {JSX.Element} The facade, or the player once clicked
+ */
+export default function VideoEmbed({ videoId, title = 'YouTube video', privacy = true }) {
+  // False until the visitor clicks the facade
+  const [playerRequested, setPlayerRequested] = useState(false);
+
+  return (
+    <div className={styles.frame}>
+      {playerRequested ? (
+        // The real player, started right away because the visitor asked for it
+        <iframe
+          src={embedUrl(videoId, { privacy, autoplay: true })}
+          title={title}
+          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share"
+          referrerPolicy="strict-origin-when-cross-origin"
+          allowFullScreen
+        />
+      ) : (
+        // Thumbnail facade: a button so it works with the keyboard too
+        <button
+          type="button"
+          className={styles.facade}
+          onClick={() => setPlayerRequested(true)}
+          aria-label={`Play video: ${title}`}
+        >
+          <img className={styles.thumbnail} src={thumbnailUrl(videoId)} alt="" loading="lazy" />
+          <span className={styles.playButton} aria-hidden="true">▶</span>
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,137 @@
+/**
+ * DATE ARCHIVE HELPERS (archive.js)
+ *
+ * Purpose: This module groups posts by the year and month they were
+ * published, for the archive pages, and builds the URLs of those pages. It
+ * has no server-only imports, so components can use archivePath() in the
+ * browser too.
+ *
+ * Archive URLs:
+ * - /archive           - Every year and month with its post count (pages/archive/index.js)
+ * - /archive/2025      - Posts published in 2025
+ * - /archive/2025/11   - Posts published in November 2025
+ *
+ * Posts are filed by their date in the site time zone (lib/dates.js), so the
+ * archive always agrees with the date shown on the post. Posts without a
+ * valid date don't appear in the archive.
+ *
+ * Example Usage:
+ * archivePath(2025, 11);                  // "/archive/2025/11"
+ * periodLabel({ year: 2025, month: 11 }); // "November 2025"
+ */
+
+// Import the helper that reads a post date's calendar day
+import { postDateParts } from './dates.js';
+
+// Base URL of every archive page
+const ARCHIVE_BASE_PATH = '/archive';
+
+// Month names for headings, e.g. "November"
+const monthFormat = new Intl.DateTimeFormat('en-US', { month: 'long', timeZone: 'UTC' });
+
+/**
+ * archivePath - Return the URL of an archive page
+ *
+ * @param {number} [year] - Year; omit for the archive index
+ * @param {number} [month] - Month 1-12; omit for the whole year
+ * @returns {string} URL such as "/archive", "/archive/2025" or "/archive/2025/11"
+ */
+export function archivePath(year, month) {
+  if (!year) {
+    return ARCHIVE_BASE_PATH;
+  }
+  return month
+    ? `${ARCHIVE_BASE_PATH}/${year}/${String(month).padStart(2, '0')}`
+    : `${ARCHIVE_BASE_PATH}/${year}`;
+}
+
+/**
+ * parsePeriod - Read the year and month from archive URL parameters
+ *
+ * Only the canonical forms are accepted ("2025", "11"), so every period
+ * has exactly one URL.
+ *
+ * @param {string} yearParam - Year from the URL, four digits
+ * @param {string} [monthParam] - Month from the URL, two digits "01"-"12"
+ * @returns {object|null} { year, month } with month null for a whole year,
+ *                        or null if the parameters aren't a valid period
+ */
+export function parsePeriod(yearParam, monthParam) {
+  if (!/^\d{4}$/.test(yearParam || '')) {
+    return null;
+  }
+  if (monthParam === undefined) {
+    return { year: Number(yearParam), month: null };
+  }
+  if (!/^(0[1-9]|1[0-2])$/.test(monthParam)) {
+    return null;
+  }
+  return { year: Number(yearParam), month: Number(monthParam) };
+}
+
+/**
+ * periodLabel - Name a period for headings and titles
+ *
+ * @param {object} period - { year, month } with month null for a whole year
+ * @returns {string} "November 2025" or "2025"
+ */
+export function periodLabel({ year, month }) {
+  return month ? `${monthFormat.format(new Date(Date.UTC(year, month - 1, 1)))} ${year}` : String(year);
+}
+
+/**
+ * postPeriod - Return the year and month a post is filed under
+ *
+ * @param {object} post - Post with a date
+ * @returns {object|null} { year, month }, or null if the post has no valid date
+ */
+export function postPeriod(post) {
+  const parts = postDateParts(post.date);
+  return parts ? { year: parts.year, month: parts.month } : null;
+}
+
+/**
+ * collectArchive - Count a set of posts per year and per month
+ *
+ * @param {Array} posts - Posts with dates
+ * @returns {Array<object>} Years, newest first, as { year, count, months },
+ *                          where months are { year, month, count }, newest first
+ */
+export function collectArchive(posts) {
+  const years = new Map();
+
+  posts.forEach(post => {
+    const period = postPeriod(post);
+    if (!period) {
+      return;
+    }
+
+    const entry = years.get(period.year) || { year: period.year, count: 0, months: new Map() };
+    entry.count += 1;
+    entry.months.set(period.month, (entry.months.get(period.month) || 0) + 1);
+    years.set(period.year, entry);
+  });
+
+  return Array.from(years.values())
+    .sort((a, b) => b.year - a.year)
+    .map(({ year, count, months }) => ({
+      year,
+      count,
+      months: Array.from(months, ([month, monthCount]) => ({ year, month, count: monthCount }))
+        .sort((a, b) => b.month - a.month),
+    }));
+}
+
+/**
+ * filterPostsByPeriod - Keep only the posts published in a year or month
+ *
+ * @param {Array} posts - Posts with dates
+ * @param {object} period - { year, month } with month null for a whole year
+ * @returns {Array} Matching posts, in their original order
+ */
+export function filterPostsByPeriod(posts, { year, month }) {
+  return posts.filter(post => {
+    const period = postPeriod(post);
+    return Boolean(period) && period.year === year && (!month || period.month === month);
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * CONTENT CONFIGURATION (config.js)
+ *
+ * Purpose: This module collects every setting the data layer reads from the
+ * environment into one place, so the rest of the library never touches
+ * process.env directly and each setting has exactly one documented default.
+ *
+ * Key Features:
+ * - Reads settings from environment variables (see .env.example)
+ * - Provides sensible defaults so the site builds with no configuration
+ * - Parses comma-separated lists into arrays
+ *
+ * Example Usage:
+ * import { config } from './config.js';
+ * config.contentSources; // ['wordpress', 'markdown']
+ */
+
+/**
+ * readList - Parse a comma-separated environment variable into an array
+ *
+ * Whitespace around each entry is trimmed and empty entries are dropped,
+ * so "wordpress, markdown," becomes ['wordpress', 'markdown'].
+ *
+ * @param {string|undefined} value - Raw environment variable value
+ * @param {Array<string>} fallback - Value to use when the variable is unset or empty
+ * @returns {Array<string>} Parsed list of entries
+ */
+function readList(value, fallback) {
+  if (!value) {
+    return fallback;
+  }
+
+  const entries = value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  return entries.length > 0 ? entries : fallback;
+}
+
+/**
+ * readNumber - Parse a numeric environment variable
+ *
+ * @param {string|undefined} value - Raw environment variable value
+ * @param {number} fallback - Value to use when the variable is unset or not a number
+ * @returns {number} Parsed number
+ */
+function readNumber(value, fallback) {
+  const number = Number(value);
+  return value !== undefined && value !== '' && Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * readTimeZone - Read an IANA time zone name, checking that it exists
+ *
+ * @param {string|undefined} value - Raw environment variable value (e.g. "America/New_York")
+ * @param {string} fallback - Value to use when the variable is unset or empty
+ * @returns {string} The time zone name
+ * @throws {RangeError} If the runtime doesn't know the time zone, so a typo fails the build
+ */
+function readTimeZone(value, fallback) {
+  const timeZone = value || fallback;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new RangeError(`Unknown time zone "${timeZone}" in NEXT_PUBLIC_SITE_TIMEZONE`);
+  }
+  return timeZone;
+}
+
+/**
+ * config - Resolved content settings
+ *
+ * - contentSources: Content source adapters to read posts from, in priority
+ *   order. When two sources return a post with the same id, the one listed
+ *   first wins. (CONTENT_SOURCES, default "wordpress,markdown")
+ * - contentCacheTtl: Seconds a fetched API response is reused before it is
+ *   revalidated with the server. (CONTENT_CACHE_TTL, default 60)
+ * - contentCacheDir: Folder for the on-disk API response cache, shared by the
+ *   build workers. Set to an empty string to disable it.
+ *   (CONTENT_CACHE_DIR, default ".cache/content")
+ * - contentFixtureMode: "off", "record" or "replay". Replay answers every API
+ *   request from the fixture file so builds work offline.
+ *   (CONTENT_FIXTURE_MODE, default "off")
+ * - contentFixturePath: JSON fixture file used by record/replay mode.
+ *   (CONTENT_FIXTURE_PATH, default "fixtures/wordpress.json")
+ * - contentErrorPolicy: What to do when a content source fails. "fail" throws
+ *   (failing the build, or keeping the last good page during ISR), "stale"
+ *   throws only at runtime, "ignore" skips the source.
+ *   (CONTENT_ERROR_POLICY, default "fail")
+ * - wordpressUrl: Base URL of the WordPress site, without a trailing slash.
+ *   (WORDPRESS_URL, default "https://dev-cs-55-week-11.pantheonsite.io")
+ * - wordpressApi: Which REST route family to read. "custom" is the
+ *   twentytwentyone-child latest-posts endpoint, "wp-v2" is the standard
+ *   /wp-json/wp/v2/posts route. (WORDPRESS_API, default "custom")
+ * - wordpressRoute: Route appended to wordpressUrl. "{page}" is replaced with
+ *   the page number. (WORDPRESS_ROUTE, default depends on wordpressApi)
+ * - wordpressPageSize: Posts requested per page. (WORDPRESS_PAGE_SIZE, default 10)
+ * - wordpressMaxPages: Safety limit on pages read from one feed.
+ *   (WORDPRESS_MAX_PAGES, default 50)
+ * - postsPerPage: Posts listed on each blog index page (/, /page/2, ...).
+ *   (POSTS_PER_PAGE, default 10)
+ * - postOrder: Order of the blog index: "date-desc" (newest first),
+ *   "date-asc" (oldest first) or "title". It is chosen at deploy time, for
+ *   the whole site, so every page numbers and links posts the same way;
+ *   getSortedPostsData() takes another order for callers that need one.
+ *   (POST_ORDER, default "date-desc")
+ * - showDrafts: List and render drafts, scheduled and unpublished posts,
+ *   each marked with a badge. Only honored by `next dev`; production builds
+ *   never show them. (SHOW_DRAFTS, default false)
+ * - previewSecret: Shared secret editors pass to /api/preview to turn on
+ *   draft mode. Preview is disabled while it is empty. (PREVIEW_SECRET, default "")
+ * - wordpressPreviewUser, wordpressPreviewPassword: WordPress user name and
+ *   application password used to read drafts in preview mode.
+ *   (WORDPRESS_PREVIEW_USER, WORDPRESS_PREVIEW_PASSWORD, default "")
+ * - revalidateSeconds: Safety-net ISR interval for the blog pages. Pages are
+ *   normally regenerated on demand by the /api/revalidate webhook; the timer
+ *   only catches changes the webhook missed (e.g. markdown posts reaching
+ *   their publishAt time). (REVALIDATE_SECONDS, default 3600)
+ * - revalidateSecret: Shared secret the WordPress webhook sends to
+ *   /api/revalidate. The route is disabled while it is empty.
+ *   (REVALIDATE_SECRET, default "")
+ * - siteUrl: Public base URL of this site, used for absolute links in feeds,
+ *   the sitemap, robots.txt and metadata. (SITE_URL, default the Vercel production URL when deployed
+ *   on Vercel, otherwise "http://localhost:3000")
+ * - siteTimeZone: IANA time zone post dates are shown in. Dates without a
+ *   time of day (markdown "2020-01-03") are shown as written. The
+ *   NEXT_PUBLIC_ prefix makes Next.js copy it into the browser bundle, so
+ *   dates render the same on the server and in the browser.
+ *   (NEXT_PUBLIC_SITE_TIMEZONE, default "UTC")
+ * - youtubeApiKey: YouTube Data API key used to look up video lengths for the
+ *   estimated watch time of posts. Lengths are unknown while it is empty.
+ *   (YOUTUBE_API_KEY, default "")
+ */
+// Default route for each WordPress API family
+const wordpressRoutes = {
+  custom: '/wp-json/twentytwentyone-child/v1/latest-posts/{page}',
+  'wp-v2': '/wp-json/wp/v2/posts',
+};
+
+const wordpressApi = process.env.WORDPRESS_API || 'custom';
+
+// Vercel exposes the production domain without a protocol
+const vercelUrl = process.env.VERCEL_PROJECT_PRODUCTION_URL
+  ? `https://${process.env.VERCEL_PROJECT_PRODUCTION_URL}`
+  : null;
+
+export const config = {
+  contentSources: readList(process.env.CONTENT_SOURCES, ['wordpress', 'markdown']),
+  contentCacheTtl: readNumber(process.env.CONTENT_CACHE_TTL, 60),
+  contentCacheDir: process.env.CONTENT_CACHE_DIR ?? '.cache/content',
+  contentFixtureMode: process.env.CONTENT_FIXTURE_MODE || 'off',
+  contentFixturePath: process.env.CONTENT_FIXTURE_PATH || 'fixtures/wordpress.json',
+  contentErrorPolicy: process.env.CONTENT_ERROR_POLICY || 'fail',
+  wordpressUrl: (process.env.WORDPRESS_URL || 'https://dev-cs-55-week-11.pantheonsite.io').replace(/\/+$/, ''),
+  wordpressApi,
+  wordpressRoute: process.env.WORDPRESS_ROUTE || wordpressRoutes[wordpressApi] || wordpressRoutes.custom,
+  wordpressPageSize: readNumber(process.env.WORDPRESS_PAGE_SIZE, 10),
+  wordpressMaxPages: readNumber(process.env.WORDPRESS_MAX_PAGES, 50),
+  postsPerPage: Math.max(1, readNumber(process.env.POSTS_PER_PAGE, 10)),
+  postOrder: process.env.POST_ORDER || 'date-desc',
+  showDrafts: process.env.SHOW_DRAFTS === 'true' && process.env.NODE_ENV === 'development',
+  previewSecret: process.env.PREVIEW_SECRET || '',
+  wordpressPreviewUser: process.env.WORDPRESS_PREVIEW_USER || '',
+  wordpressPreviewPassword: process.env.WORDPRESS_PREVIEW_PASSWORD || '',
+  revalidateSeconds: Math.max(1, readNumber(process.env.REVALIDATE_SECONDS, 3600)),
+  revalidateSecret: process.env.REVALIDATE_SECRET || '',
+  siteUrl: (process.env.SITE_URL || vercelUrl || 'http://localhost:3000').replace(/\/+$/, ''),
+  siteTimeZone: readTimeZone(process.env.NEXT_PUBLIC_SITE_TIMEZONE, 'UTC'),
+  youtubeApiKey: process.env.YOUTUBE_API_KEY || '',
+};
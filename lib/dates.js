@@ -0,0 +1,195 @@
+/**
+ * POST DATE HELPERS (dates.js)
+ *
+ * Purpose: This module parses the date strings the content sources produce,
+ * so sorting, feeds and other date math all read dates the same way, and
+ * formats them for display in the site time zone (NEXT_PUBLIC_SITE_TIMEZONE).
+ * It has no server-only imports, so the Date component uses it in the browser.
+ *
+ * Accepted formats:
+ * - UTC:       "2025-11-05T14:19:03.000Z" (WordPress post_date_gmt, see sources/wordpress.js)
+ * - WordPress: "2025-11-05 09:19:03" (space between date and time)
+ * - ISO-8601:  "2025-11-05T09:19:03", "2025-11-05T09:19:03-05:00" or "2020-01-06"
+ *
+ * Display rules:
+ * - Dates with a time zone are converted to the site time zone
+ * - Dates without one ("2020-01-06", "2025-11-05 09:19:03") are shown as
+ *   written, so the server and every visitor's browser agree on the day
+ * - Missing or invalid dates format to null, and callers render nothing
+ *
+ * Example Usage:
+ * formatPostDate('2025-11-05T14:19:03Z');     // "November 5, 2025"
+ * formatRelativeDate('2025-11-05T14:19:03Z'); // "3 days ago"
+ */
+
+// Import the relative-distance formatter
+import { formatDistanceStrict } from 'date-fns';
+
+// Import configuration for the site time zone
+import { config } from './config.js';
+
+// Ends in "Z" or a UTC offset such as "+02:00" or "-0500"
+const ZONE_PATTERN = /(?:Z|[+-]\d{2}:?\d{2})$/i;
+
+// A calendar date without a time of day
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// One day in milliseconds
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * parsePostDate - Convert a post date string into a Date
+ *
+ * @param {string} dateString - The post date
+ * @returns {Date|null} The parsed date, or null if it is missing or invalid
+ */
+export function parsePostDate(dateString) {
+  // Convert WordPress format to ISO-8601 by replacing the space with 'T'
+  const timestamp = Date.parse(String(dateString || '').replace(' ', 'T'));
+  return Number.isNaN(timestamp) ? null : new Date(timestamp);
+}
+
+/**
+ * toIsoString - Convert a post date string into an ISO-8601 timestamp
+ *
+ * Used where machines read the date (metadata, structured data).
+ *
+ * @param {string} dateString - The post date
+ * @returns {string|null} Timestamp such as "2025-11-05T09:19:03.000Z", or null if invalid
+ */
+export function toIsoString(dateString) {
+  const date = parsePostDate(dateString);
+  return date ? date.toISOString() : null;
+}
+
+/**
+ * readDisplayDate - Parse a post date for display
+ *
+ * Dates without a time zone are read as UTC and shown in UTC, which keeps
+ * their wall-clock day no matter where the code runs.
+ *
+ * @param {string} dateString - The post date
+ * @param {string} timeZone - Time zone to show zoned dates in
+ * @returns {object|null} { date, timeZone, dateTime } where dateTime is the
+ *                        value for a <time datetime> attribute, or null if invalid
+ */
+function readDisplayDate(dateString, timeZone) {
+  const value = String(dateString || '').trim().replace(' ', 'T');
+  if (!value) {
+    return null;
+  }
+
+  const zoned = ZONE_PATTERN.test(value);
+  // Date-only strings are already read as UTC; a zone-less time would be read as local time
+  const timestamp = Date.parse(zoned || DATE_ONLY_PATTERN.test(value) ? value : `${value}Z`);
+  if (Number.isNaN(timestamp)) {
+    return null;
+  }
+
+  const date = new Date(timestamp);
+  return {
+    date,
+    timeZone: zoned ? timeZone : 'UTC',
+    dateTime: zoned ? date.toISOString() : value,
+  };
+}
+
+/**
+ * formatPostDate - Format a post date as "Month Day, Year"
+ *
+ * @param {string} dateString - The post date
+ * @param {object} [options] - Options
+ * @param {string} [options.timeZone] - Time zone to show the date in; defaults to NEXT_PUBLIC_SITE_TIMEZONE
+ * @returns {string|null} Text such as "November 5, 2025", or null if the date is missing or invalid
+ */
+export function formatPostDate(dateString, { timeZone = config.siteTimeZone } = {}) {
+  const parsed = readDisplayDate(dateString, timeZone);
+  if (!parsed) {
+    return null;
+  }
+
+  return new Intl.DateTimeFormat('en-US', { dateStyle: 'long', timeZone: parsed.timeZone }).format(parsed.date);
+}
+
+/**
+ * postDateParts - Return the calendar year, month and day of a post date
+ *
+ * Follows the same rules as formatPostDate(), so a post is filed under the
+ * day its date line shows (e.g. in the date archive, lib/archive.js).
+ *
+ * @param {string} dateString - The post date
+ * @param {object} [options] - Options, as for formatPostDate()
+ * @returns {object|null} { year, month, day } with month 1-12, or null if the date is invalid
+ */
+export function postDateParts(dateString, { timeZone = config.siteTimeZone } = {}) {
+  const parsed = readDisplayDate(dateString, timeZone);
+  if (!parsed) {
+    return null;
+  }
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    timeZone: parsed.timeZone,
+  }).formatToParts(parsed.date);
+  const read = type => Number(parts.find(part => part.type === type).value);
+
+  return { year: read('year'), month: read('month'), day: read('day') };
+}
+
+/**
+ * dateTimeAttribute - Return the machine-readable value of a <time> element
+ *
+ * @param {string} dateString - The post date
+ * @returns {string|null} UTC timestamp for zoned dates, the date as written
+ *                        otherwise ("2020-01-06"), or null if invalid
+ */
+export function dateTimeAttribute(dateString) {
+  const parsed = readDisplayDate(dateString, 'UTC');
+  return parsed ? parsed.dateTime : null;
+}
+
+/**
+ * formatRelativeDate - Describe how long ago a post date was
+ *
+ * The result depends on the current time, so pages should only show it in
+ * the browser (after hydration), never in statically generated HTML.
+ *
+ * @param {string} dateString - The post date
+ * @param {Date} [now=new Date()] - The time to measure from
+ * @returns {string|null} Text such as "3 days ago" or "in 2 hours", "today" for a
+ *                        calendar date less than a day away, or null if invalid
+ */
+export function formatRelativeDate(dateString, now = new Date()) {
+  const parsed = readDisplayDate(dateString, 'UTC');
+  if (!parsed) {
+    return null;
+  }
+
+  // A calendar date says nothing about the hour, so "5 hours ago" would be made up
+  if (DATE_ONLY_PATTERN.test(parsed.dateTime) && Math.abs(now - parsed.date) < DAY_MS) {
+    return 'today';
+  }
+  return formatDistanceStrict(parsed.date, now, { addSuffix: true });
+}
+
+/**
+ * isUpdatedLater - Check whether a post was edited on a later day than it was published
+ *
+ * Same-day edits (typo fixes right after publishing) aren't worth an
+ * "updated" note.
+ *
+ * @param {string} dateString - The publication date
+ * @param {string} modifiedString - The last edit date
+ * @param {object} [options] - Options, as for formatPostDate()
+ * @returns {boolean} True if both dates are valid and fall on different days, the edit later
+ */
+export function isUpdatedLater(dateString, modifiedString, options) {
+  const published = readDisplayDate(dateString, 'UTC');
+  const modified = readDisplayDate(modifiedString, 'UTC');
+  if (!published || !modified || modified.date <= published.date) {
+    return false;
+  }
+  return formatPostDate(dateString, options) !== formatPostDate(modifiedString, options);
+}
@@ -0,0 +1,187 @@
+/**
+ * VIDEO EMBED REWRITING (embeds.js)
+ *
+ * Purpose: This module finds YouTube videos in post HTML (from markdown and
+ * WordPress alike) and replaces them with a placeholder that the PostBody
+ * component swaps for the VideoEmbed click-to-load player.
+ *
+ * Recognized videos:
+ * - <iframe src="https://www.youtube.com/embed/..."> (and youtube-nocookie)
+ * - The wrappers around such an iframe, such as our responsive
+ *   <div style="padding-bottom: 56.25%"> blocks and WordPress
+ *   <figure class="wp-block-embed"> blocks, are replaced as a whole
+ * - A paragraph or block holding nothing but a YouTube URL, as plain text or a link
+ *   (links inside a sentence are left alone)
+ *
+ * Placeholder markup (a clickable thumbnail, so feeds and visitors without
+ * JavaScript still get a working link to the video):
+ * <div class="video-embed" data-video-embed="jEBnrzNuUSA" data-video-title="...">
+ *   <a href="https://www.youtube.com/watch?v=jEBnrzNuUSA"><img src="https://i.ytimg.com/..." alt="..."></a>
+ * </div>
+ *
+ * Run this after lib/sanitize.js: the placeholder is generated here and is
+ * trusted.
+ */
+
+// Import unified with the HTML parser and serializer plugins
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+
+// Import the YouTube URL helpers
+import { parseYouTubeId, thumbnailUrl, watchUrl } from './video.js';
+
+// Elements that may wrap a video without adding content of their own
+const WRAPPER_ELEMENTS = new Set(['div', 'figure', 'p', 'span', 'center']);
+
+// Elements searched for videos: those whose children may be block elements
+// such as the placeholder <div>, and the list and table structure leading to
+// them. Videos inside anything else (a link in a sentence) are left as they are.
+const FLOW_CONTAINERS = new Set([
+  'div', 'section', 'article', 'aside', 'figure', 'blockquote', 'li', 'dd', 'td', 'th', 'details', 'center',
+  'ul', 'ol', 'dl', 'table', 'thead', 'tbody', 'tfoot', 'tr',
+]);
+
+// HTML fragment parser and serializer
+const processor = unified()
+  .use(rehypeParse, { fragment: true })
+  .use(rehypeStringify);
+
+/**
+ * textContent - Concatenate the text inside a hast node
+ *
+ * @param {object} node - A hast node
+ * @returns {string} All descendant text
+ */
+function textContent(node) {
+  if (node.type === 'text') {
+    return node.value;
+  }
+  return (node.children || []).map(textContent).join('');
+}
+
+/**
+ * meaningfulChildren - Return a node's children, skipping whitespace and comments
+ *
+ * @param {object} node - A hast element
+ * @returns {Array} Child nodes that carry content
+ */
+function meaningfulChildren(node) {
+  return (node.children || []).filter(child =>
+    child.type === 'element' || (child.type === 'text' && child.value.trim() !== '')
+  );
+}
+
+/**
+ * findVideo - Check whether a node is nothing but one YouTube video
+ *
+ * @param {object} node - A hast node
+ * @returns {object|null} { id, title } if the node is a video (or only wraps one), else null
+ */
+function findVideo(node) {
+  if (node.type === 'text') {
+    const id = parseYouTubeId(node.value);
+    return id ? { id, title: null } : null;
+  }
+  if (node.type !== 'element') {
+    return null;
+  }
+
+  const properties = node.properties || {};
+
+  if (node.tagName === 'iframe') {
+    const id = parseYouTubeId(properties.src || '');
+    return id ? { id, title: properties.title || null } : null;
+  }
+
+  // A link to a video whose text is just the URL (auto-linked bare URLs)
+  if (node.tagName === 'a') {
+    const id = parseYouTubeId(properties.href || '');
+    return id && parseYouTubeId(textContent(node)) === id ? { id, title: null } : null;
+  }
+
+  if (WRAPPER_ELEMENTS.has(node.tagName)) {
+    const children = meaningfulChildren(node);
+    return children.length === 1 ? findVideo(children[0]) : null;
+  }
+
+  return null;
+}
+
+/**
+ * placeholder - Build the placeholder element for a video
+ *
+ * @param {string} id - The YouTube video id
+ * @param {string} title - Accessible title for the video
+ * @returns {object} hast element (see the module comment for the markup)
+ */
+function placeholder(id, title) {
+  return {
+    type: 'element',
+    tagName: 'div',
+    properties: { className: ['video-embed'], dataVideoEmbed: id, dataVideoTitle: title },
+    children: [{
+      type: 'element',
+      tagName: 'a',
+      properties: { href: watchUrl(id) },
+      children: [{
+        type: 'element',
+        tagName: 'img',
+        properties: { src: thumbnailUrl(id), alt: title, loading: 'lazy' },
+        children: [],
+      }],
+    }],
+  };
+}
+
+/**
+ * replaceInChildren - Swap every video under a node for a placeholder
+ *
+ * The outermost element that holds nothing but a video is replaced, so
+ * wrapper divs and figures don't leave empty boxes behind. Only flow
+ * containers (FLOW_CONTAINERS) are searched: the placeholder is a <div>, and
+ * a <div> inside a paragraph is invalid HTML that browsers (and React
+ * hydration) move around, so a video link in the middle of a sentence stays
+ * a link.
+ *
+ * @param {object} node - A hast root or element (modified in place)
+ * @param {Array} videos - List that found videos are appended to
+ * @param {string} fallbackTitle - Title used when the embed doesn't have one
+ */
+function replaceInChildren(node, videos, fallbackTitle) {
+  node.children = (node.children || []).map(child => {
+    if (child.type !== 'element') {
+      return child;
+    }
+
+    const video = findVideo(child);
+    if (video) {
+      const title = video.title || fallbackTitle;
+      videos.push({ id: video.id, title });
+      return placeholder(video.id, title);
+    }
+
+    if (FLOW_CONTAINERS.has(child.tagName)) {
+      replaceInChildren(child, videos, fallbackTitle);
+    }
+    return child;
+  });
+}
+
+/**
+ * replaceVideoEmbeds - Replace YouTube videos in post HTML with placeholders
+ *
+ * @param {string} html - Sanitized post HTML
+ * @param {object} [options] - Options
+ * @param {string} [options.fallbackTitle='YouTube video'] - Title for embeds without one
+ * @returns {object} { html, videos } - The rewritten HTML and the videos found, in
+ *                   order, as { id, title }
+ */
+export function replaceVideoEmbeds(html, { fallbackTitle = 'YouTube video' } = {}) {
+  const tree = processor.parse(html || '');
+  const videos = [];
+
+  replaceInChildren(tree, videos, fallbackTitle);
+
+  return { html: processor.stringify(tree), videos };
+}
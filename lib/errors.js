@@ -0,0 +1,74 @@
+/**
+ * CONTENT ERRORS (errors.js)
+ *
+ * Purpose: This module defines the error classes the data layer throws, so
+ * pages and logs can tell content problems apart from programming bugs.
+ */
+
+/**
+ * ContentSourceError - A content source could not deliver its posts
+ *
+ * Thrown by lib/posts.js when a source fails and the error policy says the
+ * failure must not be hidden (see CONTENT_ERROR_POLICY in lib/config.js).
+ * Throwing from getStaticProps fails `next build`, and during ISR
+ * revalidation it makes Next.js keep serving the last good version of the page.
+ */
+export class ContentSourceError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the failure
+   * @param {object} details - Extra information about the failure
+   * @param {string} details.source - Name of the content source that failed
+   * @param {Error} details.cause - The original error
+   */
+  constructor(message, { source, cause }) {
+    super(message, { cause });
+    this.name = 'ContentSourceError';
+    this.source = source;
+  }
+}
+
+/**
+ * InvalidResponseError - A content API answered with data we can't read
+ *
+ * Thrown by content sources when a response body doesn't have the declared
+ * shape as a whole (for example a WordPress feed page that isn't a list of
+ * posts). Single malformed posts are skipped and logged instead (see
+ * lib/schema.js). The error policy in lib/posts.js decides what happens next.
+ */
+export class InvalidResponseError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the problem
+   * @param {object} details - Extra information about the problem
+   * @param {string} details.url - The URL that returned the data
+   * @param {Array<string>} details.problems - What is wrong, as "field: description"
+   */
+  constructor(message, { url, problems }) {
+    super(message);
+    this.name = 'InvalidResponseError';
+    this.url = url;
+    this.problems = problems;
+  }
+}
+
+/**
+ * SlugCollisionError - Two posts want the same URL
+ *
+ * Thrown by lib/posts.js during `next build` when two posts (usually from
+ * different sources) have the same slug, since only one of them could be
+ * reached at /posts/<slug>. Rename the markdown file or change the
+ * WordPress permalink to fix it.
+ */
+export class SlugCollisionError extends Error {
+  /**
+   * @param {string} message - Human-readable description of the collision
+   * @param {object} details - Extra information about the collision
+   * @param {string} details.slug - The shared slug
+   * @param {Array<object>} details.posts - The colliding posts as { id, source }
+   */
+  constructor(message, { slug, posts }) {
+    super(message);
+    this.name = 'SlugCollisionError';
+    this.slug = slug;
+    this.posts = posts;
+  }
+}
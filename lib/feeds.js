@@ -0,0 +1,217 @@
+/**
+ * SYNDICATION FEED BUILDERS (feeds.js)
+ *
+ * Purpose: This module turns the normalized post list into RSS 2.0, Atom 1.0
+ * and JSON Feed 1.1 documents, so readers can subscribe to new videos.
+ * The pages /rss.xml, /atom.xml and /feed.json call these builders.
+ *
+ * Key Features:
+ * - Full post content in every feed (content:encoded, Atom content, content_html)
+ * - Absolute links for posts, and for root-relative links inside post content
+ * - Dates in each format's required style (RFC 822 for RSS, RFC 3339 elsewhere)
+ * - Edit dates (post.modified) in Atom <updated> and JSON Feed date_modified,
+ *   so readers notice edited posts
+ *
+ * Every builder takes the same arguments:
+ * - posts: Full post objects from getAllPostsData(), newest first
+ * - site:  { title, description, author } describing the blog
+ */
+
+// Import the URL helpers for absolute post links
+import { absoluteUrl, absolutizeHtmlUrls, postPath } from './urls.js';
+
+// Import the shared post date parser
+import { parsePostDate } from './dates.js';
+
+// Import the XML escaping helper
+import { escapeXml } from './xml.js';
+
+// Paths the feeds are served from, used for self links and discovery
+export const FEED_PATHS = {
+  rss: '/rss.xml',
+  atom: '/atom.xml',
+  json: '/feed.json',
+};
+
+/**
+ * cdata - Wrap HTML in a CDATA section
+ *
+ * A literal "]]>" would end the section early, so it is split across two sections.
+ *
+ * @param {string} html - HTML content
+ * @returns {string} CDATA section containing the HTML
+ */
+function cdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * postDate - Return a post's date, or the Unix epoch if it has none
+ *
+ * Feeds require a date on every entry, so undated posts sort as the oldest.
+ *
+ * @param {object} post - A post object
+ * @returns {Date} The post's publication date
+ */
+function postDate(post) {
+  return parsePostDate(post.date) || new Date(0);
+}
+
+/**
+ * updatedDate - Return when a post was last edited
+ *
+ * Feed readers compare this date to notice edits.
+ *
+ * @param {object} post - A post object
+ * @returns {Date} The later of the edit date (post.modified) and the publication date
+ */
+function updatedDate(post) {
+  const modified = parsePostDate(post.modified);
+  const published = postDate(post);
+  return modified && modified > published ? modified : published;
+}
+
+/**
+ * latestDate - Return the newest date in a post list
+ *
+ * @param {Array} posts - Post objects
+ * @param {Function} [dateOf=postDate] - Reads the date to compare from a post
+ * @returns {Date} The newest date, or the current time for an empty feed
+ */
+function latestDate(posts, dateOf = postDate) {
+  if (posts.length === 0) {
+    return new Date();
+  }
+  return new Date(Math.max(...posts.map(post => dateOf(post).getTime())));
+}
+
+/**
+ * postContent - Return a post's HTML with absolute URLs
+ *
+ * @param {object} post - A full post object
+ * @returns {string} HTML safe to show outside this site
+ */
+function postContent(post) {
+  return absolutizeHtmlUrls(post.contentHtml || '');
+}
+
+/**
+ * buildRss - Build an RSS 2.0 document
+ *
+ * @param {Array} posts - Full post objects
+ * @param {object} site - { title, description, author }
+ * @returns {string} RSS XML
+ */
+export function buildRss(posts, site) {
+  const items = posts.map(post => {
+    const link = absoluteUrl(postPath(post.slug));
+    const categories = [...(post.categories || []), ...(post.tags || [])]
+      .map(term => `      <category>${escapeXml(term.name)}</category>`)
+      .join('\n');
+
+    return [
+      '    <item>',
+      `      <title>${escapeXml(post.title)}</title>`,
+      `      <link>${escapeXml(link)}</link>`,
+      `      <guid isPermaLink="true">${escapeXml(link)}</guid>`,
+      `      <pubDate>${postDate(post).toUTCString()}</pubDate>`,
+      `      <dc:creator>${escapeXml(site.author)}</dc:creator>`,
+      categories,
+      `      <content:encoded>${cdata(postContent(post))}</content:encoded>`,
+      '    </item>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(site.title)}</title>`,
+    `    <link>${escapeXml(absoluteUrl('/'))}</link>`,
+    `    <description>${escapeXml(site.description)}</description>`,
+    '    <language>en</language>',
+    `    <lastBuildDate>${latestDate(posts).toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(absoluteUrl(FEED_PATHS.rss))}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * buildAtom - Build an Atom 1.0 document
+ *
+ * @param {Array} posts - Full post objects
+ * @param {object} site - { title, description, author }
+ * @returns {string} Atom XML
+ */
+export function buildAtom(posts, site) {
+  const entries = posts.map(post => {
+    const link = absoluteUrl(postPath(post.slug));
+    const published = postDate(post).toISOString();
+    const categories = [...(post.categories || []), ...(post.tags || [])]
+      .map(term => `    <category term="${escapeXml(term.slug)}" label="${escapeXml(term.name)}" />`)
+      .join('\n');
+
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(post.title)}</title>`,
+      `    <link href="${escapeXml(link)}" />`,
+      `    <id>${escapeXml(link)}</id>`,
+      `    <published>${published}</published>`,
+      `    <updated>${updatedDate(post).toISOString()}</updated>`,
+      categories,
+      `    <content type="html">${escapeXml(postContent(post))}</content>`,
+      '  </entry>',
+    ].filter(Boolean).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(site.title)}</title>`,
+    `  <subtitle>${escapeXml(site.description)}</subtitle>`,
+    `  <link href="${escapeXml(absoluteUrl('/'))}" />`,
+    `  <link href="${escapeXml(absoluteUrl(FEED_PATHS.atom))}" rel="self" type="application/atom+xml" />`,
+    `  <id>${escapeXml(absoluteUrl('/'))}</id>`,
+    `  <updated>${latestDate(posts, updatedDate).toISOString()}</updated>`,
+    `  <author><name>${escapeXml(site.author)}</name></author>`,
+    ...entries,
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * buildJsonFeed - Build a JSON Feed 1.1 document
+ *
+ * @param {Array} posts - Full post objects
+ * @param {object} site - { title, description, author }
+ * @returns {string} JSON Feed text
+ */
+export function buildJsonFeed(posts, site) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: site.title,
+    description: site.description,
+    home_page_url: absoluteUrl('/'),
+    feed_url: absoluteUrl(FEED_PATHS.json),
+    language: 'en',
+    authors: [{ name: site.author }],
+    items: posts.map(post => {
+      const link = absoluteUrl(postPath(post.slug));
+      return {
+        id: link,
+        url: link,
+        title: post.title,
+        content_html: postContent(post),
+        date_published: postDate(post).toISOString(),
+        date_modified: updatedDate(post).toISOString(),
+        tags: (post.tags || []).map(term => term.name),
+      };
+    }),
+  };
+
+  return `${JSON.stringify(feed, null, 2)}\n`;
+}
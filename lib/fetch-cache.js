@@ -0,0 +1,367 @@
+/**
+ * CACHED JSON FETCH LAYER (fetch-cache.js)
+ *
+ * Purpose: This module downloads JSON from remote APIs (the WordPress feed)
+ * and caches the result, so one `next build` makes a single network request
+ * for the feed instead of one per page. It is shared by every content source
+ * that talks to the network.
+ *
+ * Key Features:
+ * - In-memory cache shared by every caller in the same process
+ * - On-disk cache (.cache/content) shared by the build worker processes; it is
+ *   best-effort, so a read-only file system only costs a logged warning
+ * - Concurrent requests for the same URL share one in-flight download
+ * - Cached responses are reused for a configurable time-to-live (TTL)
+ * - Stale responses are revalidated with ETag / If-Modified-Since, so an
+ *   unchanged feed costs a "304 Not Modified" instead of a full download
+ * - Record/replay of responses to a fixture file for offline builds (lib/fixtures.js)
+ * - Extra request headers (e.g. API keys), kept out of the cache key
+ * - Uncached requests with custom headers for private data (preview drafts)
+ * - Cache clearing, so a publish webhook makes the next read fetch fresh data;
+ *   the time of the last clear is kept on disk, so other processes sharing
+ *   the cache folder stop trusting their in-memory copies too
+ *
+ * Settings (see lib/config.js):
+ * - CONTENT_CACHE_TTL - Seconds a cached response is used without revalidating
+ * - CONTENT_CACHE_DIR - Folder for the on-disk cache ("" disables it)
+ *
+ * Example Usage:
+ * import { fetchJson, fetchJsonResponse } from './fetch-cache.js';
+ * const posts = await fetchJson('https://example.com/wp-json/...');
+ * const { data, headers } = await fetchJsonResponse('https://example.com/wp-json/...');
+ */
+
+// Import 'got' library for making HTTP requests
+import got from 'got';
+
+// Import Node.js modules for the on-disk cache
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+// Import configuration for the cache TTL and folder
+import { config } from './config.js';
+
+// Import the fixture recorder used for offline (replay) builds
+import { isRecording, isReplaying, recordResponse, replayResponse } from './fixtures.js';
+
+// Import the structured logger
+import { logger } from './logger.js';
+
+// Cached responses keyed by URL: { url, etag, lastModified, fetchedAt, headers, data }
+const memoryCache = new Map();
+
+// Downloads currently in progress keyed by URL, so concurrent callers share them
+const inFlight = new Map();
+
+// File in the cache folder holding the time (ms) of the last clearFetchCache()
+const CLEARED_AT_FILE = 'cleared-at';
+
+/**
+ * diskCachePath - Return the cache file path for a URL
+ *
+ * @param {string} url - The requested URL
+ * @returns {string|null} Absolute file path, or null if the disk cache is disabled
+ */
+function diskCachePath(url) {
+  if (!config.contentCacheDir) {
+    return null;
+  }
+
+  // Hash the URL so any URL maps to a safe, fixed-length file name
+  const key = crypto.createHash('sha1').update(url).digest('hex');
+  return path.resolve(config.contentCacheDir, `${key}.json`);
+}
+
+/**
+ * readDiskCache - Load a cached response from disk
+ *
+ * A missing or unreadable cache file is treated as a cache miss.
+ *
+ * @param {string} url - The requested URL
+ * @returns {object|null} The cache entry, or null if there is none
+ */
+function readDiskCache(url) {
+  const filePath = diskCachePath(url);
+  if (!filePath || !fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * writeDiskCache - Save a cache entry to disk
+ *
+ * The entry is written to a temporary file and renamed into place so a
+ * build worker never reads a half-written file from another worker. A
+ * failed write (read-only or full file system) is logged and otherwise
+ * ignored: the response is still in the memory cache.
+ *
+ * @param {object} entry - The cache entry to save
+ */
+function writeDiskCache(entry) {
+  const filePath = diskCachePath(entry.url);
+  if (!filePath) {
+    return;
+  }
+
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(entry));
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    logger.warn('cache.write_failed', { url: entry.url, path: filePath, error });
+    try {
+      fs.rmSync(tempPath, { force: true });
+    } catch {
+      // The temporary file can't be removed either; the next write replaces it
+    }
+  }
+}
+
+/**
+ * storeEntry - Save a cache entry in memory and on disk
+ *
+ * @param {object} entry - The cache entry to save
+ * @returns {object} The same entry, for chaining
+ */
+function storeEntry(entry) {
+  memoryCache.set(entry.url, entry);
+  writeDiskCache(entry);
+  return entry;
+}
+
+/**
+ * readClearedAt - Read when the cache was last cleared, by any process
+ *
+ * @returns {number} Time in milliseconds, or 0 if it was never cleared
+ *                   (or the disk cache is disabled)
+ */
+function readClearedAt() {
+  if (!config.contentCacheDir) {
+    return 0;
+  }
+
+  try {
+    return Number(fs.readFileSync(path.resolve(config.contentCacheDir, CLEARED_AT_FILE), 'utf8')) || 0;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * isFresh - Check whether a cache entry is still within its TTL
+ *
+ * An entry fetched before the last clearFetchCache() (possibly in another
+ * process) is never fresh, even within its TTL.
+ *
+ * @param {object} entry - The cache entry to check
+ * @returns {boolean} True if the entry can be used without revalidating
+ */
+function isFresh(entry) {
+  return Date.now() - entry.fetchedAt < config.contentCacheTtl * 1000 && entry.fetchedAt > readClearedAt();
+}
+
+/**
+ * download - Fetch a URL, revalidating against a cached entry when there is one
+ *
+ * @param {string} url - The URL to fetch
+ * @param {object|null} cached - The stale cache entry, if any
+ * @param {object} extraHeaders - Headers sent with the request
+ * @returns {Promise<object>} The new (or revalidated) cache entry
+ */
+async function download(url, cached, extraHeaders) {
+  // Ask the server to answer "304 Not Modified" if our copy is still current
+  const headers = { ...extraHeaders };
+  if (cached && cached.etag) {
+    headers['if-none-match'] = cached.etag;
+  }
+  if (cached && cached.lastModified) {
+    headers['if-modified-since'] = cached.lastModified;
+  }
+
+  const response = await got(url, { headers });
+
+  if (response.statusCode === 304 && cached) {
+    // Our copy is current: keep the data and headers and restart its TTL
+    return storeEntry({ ...cached, fetchedAt: Date.now() });
+  }
+
+  return storeEntry({
+    url,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    fetchedAt: Date.now(),
+    headers: response.headers,
+    data: JSON.parse(response.body),
+  });
+}
+
+/**
+ * toResponse - Pick the parts of a cache entry callers need
+ *
+ * @param {object} entry - A cache entry
+ * @returns {object} { data, headers }
+ */
+function toResponse(entry) {
+  return { data: entry.data, headers: entry.headers || {} };
+}
+
+/**
+ * isClientError - Check whether a request failed with a 4xx response
+ *
+ * @param {Error} error - Error thrown by got
+ * @returns {boolean} True for 400-499 responses (not network errors or 5xx)
+ */
+function isClientError(error) {
+  const statusCode = error.response && error.response.statusCode;
+  return statusCode >= 400 && statusCode < 500;
+}
+
+/**
+ * errorResponse - Describe a failed response for the fixture file
+ *
+ * @param {Error} error - HTTP error thrown by got
+ * @returns {object} { statusCode, headers, data } with the parsed body, or null if it isn't JSON
+ */
+function errorResponse(error) {
+  let data = null;
+  try {
+    data = JSON.parse(error.response.body);
+  } catch {
+    // Error pages are often HTML; the status code is what matters
+  }
+  return { statusCode: error.response.statusCode, headers: error.response.headers || {}, data };
+}
+
+/**
+ * fetchJsonResponse - Fetch a JSON URL through the shared cache, keeping its headers
+ *
+ * Use this instead of fetchJson() when response headers matter, such as
+ * the X-WP-TotalPages header of the standard WordPress posts route.
+ *
+ * Lookup order: fresh in-memory entry, fresh on-disk entry, then the
+ * network (with revalidation headers if a stale entry exists).
+ *
+ * In fixture replay mode the network and caches are skipped and the
+ * recorded response is returned. In record mode the cache is skipped so
+ * the fixture always captures a live response; 4xx errors are recorded too,
+ * so they can be replayed.
+ *
+ * Responses are cached by URL alone, so extra headers must not change the
+ * response (an API key is fine, a user's credentials are not: use
+ * fetchJsonUncached() for those).
+ *
+ * @param {string} url - The URL to fetch
+ * @param {object} [options] - Request options
+ * @param {object} [options.headers] - Extra request headers (e.g. an API key)
+ * @returns {Promise<object>} { data, headers } with the parsed JSON body and
+ *                            the (lower-cased) response headers
+ * @throws {Error} If the request fails or the body is not valid JSON
+ */
+export async function fetchJsonResponse(url, { headers = {} } = {}) {
+  if (isReplaying()) {
+    return replayResponse(url);
+  }
+
+  // Share a download that is already in progress for this URL
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const cached = memoryCache.get(url) || readDiskCache(url);
+  if (cached && isFresh(cached) && !isRecording()) {
+    memoryCache.set(url, cached);
+    return toResponse(cached);
+  }
+
+  const request = download(url, isRecording() ? null : cached, headers)
+    .then(entry => {
+      const response = toResponse(entry);
+      if (isRecording()) {
+        recordResponse(url, response);
+      }
+      return response;
+    })
+    .catch(error => {
+      if (isRecording() && isClientError(error)) {
+        recordResponse(url, errorResponse(error));
+      }
+      throw error;
+    })
+    .finally(() => inFlight.delete(url));
+
+  inFlight.set(url, request);
+  return request;
+}
+
+/**
+ * clearFetchCache - Forget every cached response, in memory and on disk
+ *
+ * Called by the revalidation webhook: without it, pages regenerated right
+ * after a publish could still be built from a response cached moments before.
+ *
+ * The time of the clear is written to the cache folder, and every process
+ * that shares the folder (build workers, server instances on the same
+ * disk) treats responses it cached before then as stale. Processes on
+ * other machines don't see it and keep their copies until CONTENT_CACHE_TTL
+ * runs out. If the folder can't be written, the failure is logged and only
+ * this process's memory cache is cleared.
+ */
+export function clearFetchCache() {
+  memoryCache.clear();
+  if (!config.contentCacheDir) {
+    return;
+  }
+
+  const cacheDir = path.resolve(config.contentCacheDir);
+  try {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(path.join(cacheDir, CLEARED_AT_FILE), String(Date.now()));
+  } catch (error) {
+    logger.warn('cache.clear_failed', { path: cacheDir, error });
+  }
+}
+
+/**
+ * fetchJsonUncached - Fetch a JSON URL without the cache or fixture recorder
+ *
+ * Used for authenticated requests (WordPress draft previews): their
+ * responses are private and always wanted fresh, so they are never cached
+ * in memory, written to disk or recorded into a fixture. Replay mode still
+ * answers from the fixture, so offline builds never reach the network.
+ *
+ * @param {string} url - The URL to fetch
+ * @param {object} [options] - Request options
+ * @param {object} [options.headers] - Extra request headers (e.g. authorization)
+ * @returns {Promise<object>} { data, headers } with the parsed JSON body and
+ *                            the (lower-cased) response headers
+ * @throws {Error} If the request fails or the body is not valid JSON
+ */
+export async function fetchJsonUncached(url, { headers = {} } = {}) {
+  if (isReplaying()) {
+    return replayResponse(url);
+  }
+
+  const response = await got(url, { headers });
+  return { data: JSON.parse(response.body), headers: response.headers };
+}
+
+/**
+ * fetchJson - Fetch and parse a JSON URL through the shared cache
+ *
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<any>} The parsed JSON body
+ * @throws {Error} If the request fails or the body is not valid JSON
+ */
+export async function fetchJson(url) {
+  const { data } = await fetchJsonResponse(url);
+  return data;
+}
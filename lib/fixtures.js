@@ -0,0 +1,146 @@
+/**
+ * API FIXTURE RECORDER (fixtures.js)
+ *
+ * Purpose: This module records remote API responses into a JSON fixture file
+ * and replays them later, so the site can be built and checked without
+ * network access to WordPress (CI runners, laptops offline, etc.).
+ *
+ * Modes (CONTENT_FIXTURE_MODE, see lib/config.js):
+ * - off    - Always use the network (default)
+ * - record - Use the network and save every response into the fixture file
+ * - replay - Never use the network; answer every request from the fixture file
+ *
+ * Fixture file format (CONTENT_FIXTURE_PATH, default fixtures/wordpress.json):
+ * {
+ *   "recordedAt": "2025-11-05T09:19:03.000Z",
+ *   "responses": {
+ *     "https://.../latest-posts/1": {
+ *       "headers": { ...response headers... },
+ *       "data": [ ...parsed JSON body... ]
+ *     },
+ *     "https://.../latest-posts/3": {
+ *       "statusCode": 404,
+ *       "headers": { ... },
+ *       "data": { ...parsed error body, or null... }
+ *     }
+ *   }
+ * }
+ *
+ * 4xx responses (such as the 404 past the last page of a feed) are recorded
+ * too, and replayed as the same error, so a feed ends the same way offline.
+ *
+ * Recording: npm run record-fixture
+ * Replaying: CONTENT_FIXTURE_MODE=replay npm run build
+ */
+
+// Import Node.js modules for reading and writing the fixture file
+import fs from 'fs';
+import path from 'path';
+
+// Import configuration for the fixture mode and file location
+import { config } from './config.js';
+
+// Parsed fixture file, loaded once per process in replay mode
+let replayFixture = null;
+
+// Response headers worth saving (pagination totals); cookies etc. are left out
+const RECORDED_HEADERS = /^(content-type|x-wp-)/;
+
+/**
+ * fixturePath - Return the absolute path of the fixture file
+ *
+ * @returns {string} Absolute fixture file path
+ */
+function fixturePath() {
+  return path.resolve(config.contentFixturePath);
+}
+
+/**
+ * loadFixture - Read the fixture file from disk
+ *
+ * @returns {object|null} Parsed fixture, or null if the file doesn't exist
+ */
+function loadFixture() {
+  if (!fs.existsSync(fixturePath())) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(fixturePath(), 'utf8'));
+}
+
+/**
+ * isReplaying - Check whether responses must come from the fixture file
+ *
+ * @returns {boolean} True in replay mode
+ */
+export function isReplaying() {
+  return config.contentFixtureMode === 'replay';
+}
+
+/**
+ * isRecording - Check whether live responses should be saved to the fixture file
+ *
+ * @returns {boolean} True in record mode
+ */
+export function isRecording() {
+  return config.contentFixtureMode === 'record';
+}
+
+/**
+ * replayResponse - Return the recorded response for a URL
+ *
+ * @param {string} url - The requested URL
+ * @returns {object} The recorded { data, headers }
+ * @throws {Error} If the fixture file is missing or has no response for the URL,
+ *                 or the recorded response is an error (with error.response.statusCode
+ *                 set, like a failed live request)
+ */
+export function replayResponse(url) {
+  if (!replayFixture) {
+    replayFixture = loadFixture();
+  }
+
+  if (!replayFixture) {
+    throw new Error(
+      `CONTENT_FIXTURE_MODE=replay but no fixture exists at ${fixturePath()}. Run "npm run record-fixture" first.`
+    );
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(replayFixture.responses, url)) {
+    throw new Error(
+      `No recorded response for ${url} in ${fixturePath()}. Run "npm run record-fixture" to refresh the fixture.`
+    );
+  }
+
+  const recorded = replayFixture.responses[url];
+  if (recorded.statusCode) {
+    const error = new Error(`Response code ${recorded.statusCode} (recorded) for ${url}`);
+    error.response = { statusCode: recorded.statusCode, headers: recorded.headers || {} };
+    throw error;
+  }
+  return recorded;
+}
+
+/**
+ * recordResponse - Save a live response into the fixture file
+ *
+ * Responses recorded earlier in the same file are kept, so several URLs
+ * can be captured by one recording run. Only the headers the data layer
+ * reads are saved, so cookies never end up in the repository.
+ *
+ * @param {string} url - The requested URL
+ * @param {object} response - The { data, headers } to save, with statusCode for a 4xx error
+ */
+export function recordResponse(url, response) {
+  const fixture = loadFixture() || { responses: {} };
+  fixture.recordedAt = new Date().toISOString();
+  fixture.responses[url] = {
+    ...(response.statusCode ? { statusCode: response.statusCode } : {}),
+    headers: Object.fromEntries(
+      Object.entries(response.headers).filter(([name]) => RECORDED_HEADERS.test(name))
+    ),
+    data: response.data,
+  };
+
+  fs.mkdirSync(path.dirname(fixturePath()), { recursive: true });
+  fs.writeFileSync(fixturePath(), `${JSON.stringify(fixture, null, 2)}\n`);
+}
@@ -0,0 +1,57 @@
+/**
+ * STRUCTURED LOGGER (logger.js)
+ *
+ * Purpose: This module writes log messages as single-line JSON objects, so
+ * build and server logs can be searched and filtered by event name or field
+ * instead of scrolling through dumps of the whole WordPress feed.
+ *
+ * Each line has this shape:
+ * {"time":"2025-11-05T09:19:03.000Z","level":"error","event":"content.source_failed","source":"wordpress","error":"..."}
+ *
+ * Example Usage:
+ * import { logger } from './logger.js';
+ * logger.warn('content.duplicate_post', { id: 'noKitty', source: 'markdown' });
+ */
+
+/**
+ * serializeError - Turn an Error into plain, JSON-friendly fields
+ *
+ * @param {Error} error - The error to describe
+ * @returns {object} The error name, message and (if present) code
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+  };
+}
+
+/**
+ * write - Print one structured log line
+ *
+ * Any Error values in the fields are reduced to their name, message and
+ * code, so stack traces and request dumps don't flood the log.
+ *
+ * @param {string} level - "info", "warn" or "error"
+ * @param {string} event - Dot-separated event name (e.g. "content.source_failed")
+ * @param {object} fields - Extra data describing the event
+ */
+function write(level, event, fields = {}) {
+  const entry = { time: new Date().toISOString(), level, event };
+
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = value instanceof Error ? serializeError(value) : value;
+  });
+
+  // Errors and warnings go to stderr so they stand out in build output
+  const stream = level === 'info' ? process.stdout : process.stderr;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+// Logger with one method per level
+export const logger = {
+  info: (event, fields) => write('info', event, fields),
+  warn: (event, fields) => write('warn', event, fields),
+  error: (event, fields) => write('error', event, fields),
+};
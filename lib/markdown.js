@@ -0,0 +1,86 @@
+/**
+ * MARKDOWN RENDERER (markdown.js)
+ *
+ * Purpose: This module turns the markdown body of a local post into the
+ * contentHtml string that pages/posts/[id].js renders. Everything runs at
+ * build time (or during ISR), so visitors download finished HTML and no
+ * markdown or highlighting code.
+ *
+ * Pipeline (unified):
+ * 1. remark-parse       - Parse markdown
+ * 2. remark-gfm         - GitHub-flavored markdown: tables, task lists,
+ *                         strikethrough, autolinks, footnotes
+ * 3. remark-rehype      - Convert to an HTML tree, keeping raw HTML
+ * 4. rehype-raw         - Parse the raw HTML (our YouTube embed divs) into
+ *                         real elements, so later steps can see it
+ * 5. rehype-slug        - Give every heading an id ("My Heading" -> "my-heading")
+ * 6. rehype-autolink-headings - Append a "#" anchor link to every heading
+ * 7. rehype-highlight   - Highlight fenced code blocks with hljs-* classes
+ *                         (colors live in styles/global.css)
+ * 8. rehype-stringify   - Serialize to an HTML string
+ *
+ * The output is sanitized later like every other post (lib/sanitize.js),
+ * which prefixes heading ids and their anchor links: the "My Heading"
+ * section is linked as #user-content-my-heading.
+ * Results are remembered per markdown text, since the post list reads every
+ * post's content to estimate its reading time (lib/posts.js).
+ *
+ * Example Usage:
+ * import { renderMarkdown } from '../markdown.js';
+ * const contentHtml = await renderMarkdown('## Hello\n\n- [x] done');
+ */
+
+// Import unified and the markdown (remark) plugins
+import { unified } from 'unified';
+import remarkParse from 'remark-parse';
+import remarkGfm from 'remark-gfm';
+import remarkRehype from 'remark-rehype';
+
+// Import the HTML (rehype) plugins
+import rehypeRaw from 'rehype-raw';
+import rehypeSlug from 'rehype-slug';
+import rehypeAutolinkHeadings from 'rehype-autolink-headings';
+import rehypeHighlight from 'rehype-highlight';
+import rehypeStringify from 'rehype-stringify';
+
+// Markdown-to-HTML processor, built once and reused for every post
+const processor = unified()
+  .use(remarkParse)
+  .use(remarkGfm)
+  .use(remarkRehype, { allowDangerousHtml: true })
+  .use(rehypeRaw)
+  .use(rehypeSlug)
+  .use(rehypeAutolinkHeadings, {
+    behavior: 'append',
+    properties: { className: ['heading-anchor'], ariaLabel: 'Link to this section' },
+    content: { type: 'text', value: '#' },
+  })
+  .use(rehypeHighlight, { detect: false })
+  .use(rehypeStringify);
+
+// Rendered HTML keyed by markdown source, oldest first
+const renderCache = new Map();
+
+// Renders kept in renderCache; edits during `next dev` or ISR add new entries
+const RENDER_CACHE_SIZE = 500;
+
+/**
+ * renderMarkdown - Convert a markdown string into HTML
+ *
+ * Code blocks are only highlighted when they name their language
+ * (```js); unlabeled blocks stay plain instead of being guessed at.
+ *
+ * @param {string} markdown - Markdown source (without front matter)
+ * @returns {Promise<string>} The rendered HTML
+ */
+export async function renderMarkdown(markdown) {
+  if (!renderCache.has(markdown)) {
+    if (renderCache.size >= RENDER_CACHE_SIZE) {
+      renderCache.delete(renderCache.keys().next().value);
+    }
+    const rendering = processor.process(markdown).then(String);
+    rendering.catch(() => renderCache.delete(markdown)); // Retry a failed render next time
+    renderCache.set(markdown, rendering);
+  }
+  return renderCache.get(markdown);
+}
@@ -0,0 +1,137 @@
+/**
+ * PAGE METADATA (metadata.js)
+ *
+ * Purpose: This module builds the SEO and social-sharing metadata that the
+ * Layout component renders into <head>: description, canonical URL, Open
+ * Graph tags, and the JSON-LD structured data of post pages.
+ *
+ * It runs in getStaticProps (server side), because absolute URLs depend on
+ * SITE_URL, which the browser bundle doesn't know. Pages pass the result to
+ * <Layout meta={meta}>.
+ *
+ * Metadata shape:
+ * {
+ *   title, description,
+ *   url,                          // Canonical absolute URL
+ *   type,                         // "website" or "article"
+ *   image,                        // Absolute URL of the sharing card (/api/og)
+ *   publishedTime, modifiedTime,  // ISO-8601, articles only
+ *   tags,                         // Tag names, articles only
+ *   videoThumbnail,               // First video's thumbnail URL, articles only
+ * }
+ *
+ * Example Usage:
+ * import { postMeta } from '../../lib/metadata';
+ * return { props: { postData, meta: postMeta(postData) } };
+ *
+ * Post pages also get schema.org BlogPosting data (blogPostingJsonLd()),
+ * serialized with serializeJsonLd() and rendered in a script tag.
+ */
+
+// Import the URL helpers
+import { absoluteUrl, postPath } from './urls.js';
+
+// Import the YouTube thumbnail URL builder
+import { thumbnailUrl } from './video.js';
+
+// Import the ISO-8601 date converter
+import { toIsoString } from './dates.js';
+
+// Route that draws the sharing cards (pages/api/og.js)
+export const OG_IMAGE_PATH = '/api/og';
+
+/**
+ * ogImageUrl - Return the absolute URL of a sharing card
+ *
+ * @param {string} [slug] - Slug of the post to draw; omit for the site card
+ * @returns {string} URL such as "https://example.com/api/og?slug=test-wp"
+ */
+export function ogImageUrl(slug) {
+  return absoluteUrl(slug ? `${OG_IMAGE_PATH}?slug=${encodeURIComponent(slug)}` : OG_IMAGE_PATH);
+}
+
+/**
+ * pageMeta - Build metadata for a regular (non-post) page
+ *
+ * @param {object} page - Page details
+ * @param {string} page.path - Site path of the page (e.g. "/")
+ * @param {string} page.title - Page title
+ * @param {string} page.description - Page description
+ * @returns {object} Metadata for <Layout meta={...}>
+ */
+export function pageMeta({ path, title, description }) {
+  return {
+    title,
+    description,
+    url: absoluteUrl(path),
+    type: 'website',
+    image: ogImageUrl(),
+  };
+}
+
+/**
+ * postMeta - Build metadata for a post page
+ *
+ * The sharing image is the post's own card; the thumbnail of its first
+ * video, if any, is kept for structured data (videoThumbnail).
+ *
+ * @param {object} post - Full post from getPostData()
+ * @returns {object} Metadata for <Layout meta={...}>
+ */
+export function postMeta(post) {
+  const [firstVideo] = post.videos || [];
+
+  return {
+    title: post.title,
+    description: post.excerpt,
+    url: absoluteUrl(postPath(post.slug)),
+    type: 'article',
+    image: ogImageUrl(post.slug),
+    videoThumbnail: firstVideo ? thumbnailUrl(firstVideo.id) : null,
+    publishedTime: toIsoString(post.date),
+    modifiedTime: toIsoString(post.modified || post.date),
+    tags: post.tags.map(tag => tag.name),
+  };
+}
+
+/**
+ * blogPostingJsonLd - Build the schema.org BlogPosting data for a post page
+ *
+ * @param {object} meta - Result of postMeta()
+ * @param {object} site - Site details
+ * @param {string} site.title - Site title (the blog's name)
+ * @param {string} site.author - Author name
+ * @returns {object} JSON-LD object for a <script type="application/ld+json"> tag
+ */
+export function blogPostingJsonLd(meta, site) {
+  const author = { '@type': 'Person', name: site.author };
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: meta.title,
+    description: meta.description,
+    url: meta.url,
+    mainEntityOfPage: meta.url,
+    image: meta.videoThumbnail ? [meta.image, meta.videoThumbnail] : meta.image,
+    datePublished: meta.publishedTime,
+    dateModified: meta.modifiedTime,
+    keywords: meta.tags,
+    author,
+    publisher: author,
+    isPartOf: { '@type': 'Blog', name: site.title, url: absoluteUrl('/') },
+  };
+}
+
+/**
+ * serializeJsonLd - Turn structured data into the text of a script tag
+ *
+ * "<" is escaped so text inside the data (e.g. a title containing
+ * "</script>") can never close the script tag early.
+ *
+ * @param {object} data - A JSON-LD object
+ * @returns {string} JSON safe to place inside <script type="application/ld+json">
+ */
+export function serializeJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,69 @@
+/**
+ * PAGINATION HELPERS (pagination.js)
+ *
+ * Purpose: This module splits the post list into numbered pages for the blog
+ * index and builds the URLs of those pages. It has no server-only imports,
+ * so components can use pagePath() in the browser too.
+ *
+ * Page URLs:
+ * - Page 1: /          (the home page)
+ * - Page n: /page/n    (pages/page/[n].js)
+ */
+
+/**
+ * pagePath - Return the URL of a blog index page
+ *
+ * @param {number} page - Page number, starting at 1
+ * @returns {string} "/" for page 1, "/page/<n>" for the others
+ */
+export function pagePath(page) {
+  return page <= 1 ? '/' : `/page/${page}`;
+}
+
+/**
+ * parsePageNumber - Read a page number from a URL segment
+ *
+ * Only the canonical form is accepted, so "02", "2.0" and "0x2" don't
+ * become extra copies of /page/2.
+ *
+ * @param {string} value - The URL segment (e.g. "2")
+ * @returns {number|null} The page number, or null if the segment isn't one
+ */
+export function parsePageNumber(value) {
+  return typeof value === 'string' && /^[1-9]\d*$/.test(value) ? Number(value) : null;
+}
+
+/**
+ * countPages - Return how many index pages a list of items needs
+ *
+ * An empty list still has one (empty) page, so the home page always exists.
+ *
+ * @param {number} itemCount - Number of items in the full list
+ * @param {number} perPage - Items shown on each page
+ * @returns {number} Number of pages (at least 1)
+ */
+export function countPages(itemCount, perPage) {
+  return Math.max(1, Math.ceil(itemCount / perPage));
+}
+
+/**
+ * paginate - Return the items and page details for one index page
+ *
+ * @param {Array} items - The full, already-sorted list
+ * @param {number} page - Page number to return, starting at 1
+ * @param {number} perPage - Items shown on each page
+ * @returns {object|null} { items, pagination: { page, totalPages } },
+ *                        or null if the page number is out of range
+ */
+export function paginate(items, page, perPage) {
+  const totalPages = countPages(items.length, perPage);
+  if (!Number.isInteger(page) || page < 1 || page > totalPages) {
+    return null;
+  }
+
+  const start = (page - 1) * perPage;
+  return {
+    items: items.slice(start, start + perPage),
+    pagination: { page, totalPages },
+  };
+}
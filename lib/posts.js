@@ -1,300 +1,728 @@
 /**
- * WORDPRESS API DATA FETCHING LIBRARY (posts.js)
- * 
- * Purpose: This module handles all data fetching operations from a WordPress REST API endpoint.
- * It provides three main functions to retrieve and transform blog post data for use in the Next.js
- * application. The module uses the 'got' library for HTTP requests and includes error handling
- * to gracefully handle API failures.
- * 
+ * BLOG POST DATA LIBRARY (posts.js)
+ *
+ * Purpose: This module is the single entry point pages use to read blog posts.
+ * It asks every configured content source (WordPress, local markdown files, ...)
+ * for its posts and merges the results into one de-duplicated list, so pages
+ * never need to know where a post came from.
+ *
  * Key Features:
- * - Fetches blog post data from WordPress REST API using 'got' library
- * - Transforms WordPress data format to match Next.js requirements
- * - Sorts posts alphabetically by title
- * - Provides error handling with fallback data
- * - Converts WordPress date format to ISO-8601 standard
- * 
- * API Endpoint: https://dev-cs-55-week-11.pantheonsite.io/wp-json/twentytwentyone-child/v1/latest-posts/1
- * 
+ * - Merges posts from every source listed in CONTENT_SOURCES (see lib/config.js)
+ * - De-duplicates posts by id (the source listed first wins)
+ * - Routes posts by slug (/posts/<slug>) and fails the build when two posts
+ *   share a slug; old numeric WordPress URLs resolve through getPostSlug()
+ * - Records which source each post came from (post.source)
+ * - Checks every post a source returns against the declared post shape
+ *   (lib/schema.js): fields are coerced, posts without an id, slug or source
+ *   are skipped, and problems are logged once per process
+ * - Groups posts by category and tag (lib/taxonomy.js), and by year and month (lib/archive.js)
+ * - Hides drafts, unpublished posts and posts scheduled for the future
+ *   (lib/status.js); SHOW_DRAFTS=true shows them during `next dev`
+ * - Sanitizes every post's HTML against an allow-list before pages render it
+ *   (lib/sanitize.js), logging whatever was removed
+ * - Replaces YouTube embeds and links with click-to-load video placeholders
+ *   (lib/embeds.js) and lists the videos on the post (post.videos)
+ * - Adds a plain-text excerpt (post.excerpt), a word count (post.wordCount)
+ *   and estimated reading and watch time (post.readingMinutes, post.videoSeconds,
+ *   see lib/reading.js) to every post, listed or full
+ * - Sorts posts newest first, oldest first or by title (POST_ORDER, lib/sort.js)
+ * - Applies the configured error policy when a source fails (CONTENT_ERROR_POLICY):
+ *   fail the build, keep the last good ISR page, or skip the source
+ * - Returns null for slugs that don't exist, so pages can answer with a 404
+ * - Preview mode: reads unpublished drafts straight from the source (getPreview)
+ *
+ * Content Sources (lib/sources/):
+ * - wordpress - WordPress REST API (twentytwentyone-child/v1/latest-posts)
+ * - markdown  - Markdown files in the /posts folder
+ *
  * Exported Functions:
- * - getSortedPostsData() - Returns array of all posts with id, title, and date
- * - getAllPostIds() - Returns array of post IDs in Next.js path format
- * - getPostData(id) - Returns full post data for a specific post ID
+ * - getSortedPostsData(options) - Returns array of all posts with id, slug, title, date, and source
+ * - getAllPostIds() - Returns array of post slugs in Next.js path format
+ * - getPostData(slug, options) - Returns full post data for a specific post slug, or null
+ * - getPostSlug(id) - Returns the slug of the post with a source id, or null
+ * - getAllPostsData(options) - Returns every post with its full content, sorted
+ * - getAllTerms(taxonomy) - Returns every tag or category with its post count
+ * - getPostsByTerm(taxonomy, slug) - Returns the posts filed under one tag or category
+ * - getArchive() - Returns every year and month with posts, with post counts
+ * - getPostsByPeriod(period) - Returns the posts published in one year or month
+ *
+ * Pages receive posts in the PostSummary and Post shapes declared in lib/schema.js.
  */
 
-// Legacy imports (commented out - used when reading from local markdown files)
-// import { remark } from 'remark';
-// import html from 'remark-html';
-// import fs from 'fs';
-// import path from 'path';
-// import matter from 'gray-matter';
-
-// Import 'got' library for making HTTP requests to WordPress REST API
-import got from 'got';
-
-// WordPress REST API endpoint URL that returns blog post data in JSON format
-const dataURL = "https://dev-cs-55-week-11.pantheonsite.io/wp-json/twentytwentyone-child/v1/latest-posts/1";
- 
-/* 
- * ============================================================================
- * LEGACY CODE - Original functions for reading from local markdown files
- * These functions are commented out but preserved for reference
- * ============================================================================
+// Import the registry that returns the enabled content source adapters
+import { getContentSources } from './sources/index.js';
+
+// Import configuration for the error policy and default post order
+import { config } from './config.js';
+
+// Import the shared post sorting rules
+import { sortPosts } from './sort.js';
+
+// Import the category and tag helpers
+import { TAXONOMIES, collectTerms, filterPostsByTerm } from './taxonomy.js';
+
+// Import the date archive helpers
+import { collectArchive, filterPostsByPeriod } from './archive.js';
+
+// Import the error classes thrown when content problems must not be hidden
+import { ContentSourceError, SlugCollisionError } from './errors.js';
+
+// Import the structured logger
+import { logger } from './logger.js';
+
+// Import the HTML sanitizer applied to every post's content
+import { sanitizeHtml, summarizeRemovals } from './sanitize.js';
+
+// Import the YouTube embed rewriter
+import { replaceVideoEmbeds } from './embeds.js';
+
+// Import the plain-text helpers used for the excerpt
+import { htmlToText, truncateText } from './text.js';
+
+// Import the word count and reading time estimates
+import { countWords, readingMinutes } from './reading.js';
+
+// Import the video length lookup (YouTube Data API)
+import { getVideoDurations } from './youtube.js';
+
+// Import the draft / scheduled / unpublished rules
+import { isVisible, postStatus } from './status.js';
+
+// Import the declared post shapes and the checker that applies them
+import { POST_SCHEMA, POST_SUMMARY_SCHEMA, validateRecord } from './schema.js';
+
+/** @typedef {import('./schema.js').PostSummary} PostSummary */
+/** @typedef {import('./schema.js').Post} Post */
+
+// Length limit of post excerpts; search engines cut descriptions at about 160 characters
+const EXCERPT_LENGTH = 160;
+
+// Processed content keyed by title and source HTML, oldest first (see processContent())
+const contentCache = new Map();
+
+// Entries kept in contentCache; edits during `next dev` or ISR add new entries
+const CONTENT_CACHE_SIZE = 500;
+
+// Post shape problems already logged, so each is reported once rather than on every page
+const reportedProblems = new Set();
+
+// Reading details of listed posts keyed by source, id and last edit (see listedDetails())
+const listedDetailsCache = new Map();
+
+/**
+ * isBuildPhase - Check whether the code is running inside `next build`
+ *
+ * @returns {boolean} True during the production build, false at runtime (ISR, dev)
+ */
+function isBuildPhase() {
+  return process.env.NEXT_PHASE === 'phase-production-build';
+}
+
+/**
+ * handleSourceError - Log a content source failure and apply the error policy
+ *
+ * Error Policies (CONTENT_ERROR_POLICY):
+ * - fail   - Always throw. The build fails, and during ISR revalidation
+ *            Next.js keeps serving the last good version of the page.
+ * - stale  - Throw only at runtime, so ISR keeps the last good page; during
+ *            `next build` the failed source is skipped and the build continues.
+ * - ignore - Never throw; the failed source is skipped (may publish an empty blog).
+ *
+ * @param {object} source - The adapter that failed
+ * @param {Error} error - The error it threw
+ * @param {object} context - Extra fields for the log entry (e.g. the post id)
+ * @throws {ContentSourceError} When the policy says the failure must not be hidden
+ */
+function handleSourceError(source, error, context = {}) {
+  const policy = config.contentErrorPolicy;
+  const mustThrow = policy === 'stale' ? !isBuildPhase() : policy !== 'ignore';
+
+  logger.error('content.source_failed', {
+    source: source.name,
+    policy,
+    action: mustThrow ? 'throw' : 'skip',
+    ...context,
+    error,
+  });
+
+  if (mustThrow) {
+    throw new ContentSourceError(`Content source "${source.name}" failed: ${error.message}`, {
+      source: source.name,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * checkPost - Check a post from a content source against the declared post shape
+ *
+ * Sources are expected to return the normalized shape already, but odd
+ * front matter (title: 2024) or a new source can still slip through. Field
+ * types are coerced (lib/schema.js); a post without an id, slug or source
+ * can't be routed and is dropped.
+ *
+ * @param {object} source - The adapter that returned the post
+ * @param {*} post - The post as the source returned it (null if it has no such post)
+ * @param {object} schema - POST_SUMMARY_SCHEMA for listed posts, POST_SCHEMA for full posts
+ * @returns {object|null} The post with coerced fields, or null if it is missing or malformed
+ */
+function checkPost(source, post, schema) {
+  if (post === null || post === undefined) {
+    return null;
+  }
+
+  const { value, errors, warnings } = validateRecord(post, schema);
+  const problems = [...errors, ...warnings];
+  const id = typeof post === 'object' ? post.id : undefined;
+  const key = `${source.name}\n${id}\n${problems.join('\n')}`;
+
+  if (problems.length > 0 && !reportedProblems.has(key)) {
+    reportedProblems.add(key);
+    if (value) {
+      logger.warn('content.post_repaired', { source: source.name, id, warnings });
+    } else {
+      logger.error('content.invalid_post', { source: source.name, id, errors });
+    }
+  }
+  return value;
+}
+
+/**
+ * processContent - Sanitize a post's HTML, swap its videos for placeholders
+ * and extract its text
+ *
+ * Video placeholders are added after sanitizing because they are generated
+ * by us and trusted. The result is remembered per title and HTML, because
+ * the post list processes every post's content on each read.
+ *
+ * @param {object} post - Full post object from a content source
+ * @returns {object} { html, videos, removed, text }: the safe HTML, its
+ *                   videos, what the sanitizer removed and the plain text
+ */
+function processContent(post) {
+  const key = `${post.title}\u0000${post.contentHtml}`;
+
+  if (!contentCache.has(key)) {
+    const { html: safeHtml, removed } = sanitizeHtml(post.contentHtml);
+    const { html, videos } = replaceVideoEmbeds(safeHtml, { fallbackTitle: post.title });
+
+    if (contentCache.size >= CONTENT_CACHE_SIZE) {
+      contentCache.delete(contentCache.keys().next().value);
+    }
+    contentCache.set(key, { html, videos, removed, text: htmlToText(safeHtml) });
+  }
+  return contentCache.get(key);
+}
+
+/**
+ * textDetails - Build the excerpt, word count and reading time of a post
+ *
+ * The excerpt is the source's own (WordPress post_excerpt, markdown
+ * `excerpt:`) when there is one, otherwise the start of the post's text.
+ *
+ * @param {object} post - Full post object from a content source
+ * @param {object} content - Result of processContent() for the post
+ * @returns {object} { excerpt, wordCount, readingMinutes }
  */
+function textDetails(post, content) {
+  const wordCount = countWords(content.text);
+
+  return {
+    excerpt: truncateText(post.excerpt ? htmlToText(post.excerpt) : content.text, EXCERPT_LENGTH),
+    wordCount,
+    readingMinutes: readingMinutes(wordCount),
+  };
+}
 
-// export function getSortedPostsData() {
-//   // Get file names under /posts
-//   const fileNames = fs.readdirSync(postsDirectory);
-//   const allPostsData = fileNames.map((fileName) => {
-//     // Remove ".md" from file name to get id
-//     const id = fileName.replace(/\.md$/, '');
- 
-//     // Read markdown file as string
-//     const fullPath = path.join(postsDirectory, fileName);
-//     const fileContents = fs.readFileSync(fullPath, 'utf8');
- 
-//     // Use gray-matter to parse the post metadata section
-//     const matterResult = matter(fileContents);
- 
-//     // Combine the data with the id
-//     return {
-//       id,
-//       ...matterResult.data,
-//     };
-//   });
-//   // Sort posts by date
-//   return allPostsData.sort((a, b) => {
-//     if (a.date < b.date) {
-//       return 1;
-//     } else {
-//       return -1;
-//     }
-//   });
-// }
-
-// export function getAllPostIds() {
-//   const fileNames = fs.readdirSync(postsDirectory);
- 
-//   // Returns an array that looks like this:
-//   // [
-//   //   {
-//   //     params: {
-//   //       id: 'ssg-ssr'
-//   //     }
-//   //   },
-//   //   {
-//   //     params: {
-//   //       id: 'pre-rendering'
-//   //     }
-//   //   }
-//   // ]
-//   return fileNames.map((fileName) => {
-//     return {
-//       params: {
-//         id: fileName.replace(/\.md$/, ''),
-//       },
-//     };
-//   });
-// }
-
-// export async function getPostData(id) {
-//   const fullPath = path.join(postsDirectory, `${id}.md`);
-//   const fileContents = fs.readFileSync(fullPath, 'utf8');
- 
-//   // Use gray-matter to parse the post metadata section
-//   const matterResult = matter(fileContents);
- 
-//   // Use remark to convert markdown into HTML string
-//   const processedContent = await remark()
-//     .use(html, { sanitize: false })
-//     .process(matterResult.content);
-//   const contentHtml = processedContent.toString();
- 
-//   // Combine the data with the id and contentHtml
-//   return {
-//     id,
-//     contentHtml,
-//     ...matterResult.data,
-//   };
-// }
-
-/* 
- * ============================================================================
- * ACTIVE CODE - Functions for fetching data from WordPress REST API
- * ============================================================================
+/**
+ * totalVideoSeconds - Add up the known lengths of a post's videos
+ *
+ * @param {Array<string>} videoIds - Ids of the videos in the post
+ * @param {Map<string, number>} durations - Known video lengths in seconds, by video id
+ * @returns {number|null} Total seconds, or null if no video length is known
  */
+function totalVideoSeconds(videoIds, durations) {
+  const known = videoIds.filter(id => durations.has(id));
+  return known.length > 0 ? known.reduce((total, id) => total + durations.get(id), 0) : null;
+}
 
 /**
- * getSortedPostsData - Fetch and return all blog posts sorted alphabetically
- * 
- * This function retrieves all blog posts from the WordPress REST API,
- * sorts them alphabetically by title, and transforms the data into a
- * format suitable for the home page post list.
- * 
- * WordPress API Returns:
- * - ID: Post ID number
- * - post_title: Post title string
- * - post_date: Publication date in format "YYYY-MM-DD HH:MM:SS"
- * - post_content: Full HTML content
- * - plus many other WordPress fields
- * 
- * This Function Returns:
- * - id: Post ID as string
- * - title: Post title
- * - date: Publication date (WordPress format)
- * 
- * @returns {Promise<Array>} Array of post objects with id, title, and date
- *                           Returns empty array if API call fails
+ * preparePost - Make a full post safe to render and add its reading details
+ *
+ * Anything the sanitizer removed is logged with the post id and source, so
+ * editors can find and fix the original post.
+ *
+ * @param {object} post - Full post object from a content source
+ * @returns {Promise<object>} The same post with safe contentHtml, a videos list,
+ *                            and its excerpt, word count and time estimates
  */
-export async function getSortedPostsData() {
-  let jsonObj;
+async function preparePost(post) {
+  const content = processContent(post);
+
+  if (content.removed.length > 0) {
+    logger.warn('content.html_sanitized', {
+      id: post.id,
+      source: post.source,
+      removed: summarizeRemovals(content.removed),
+    });
+  }
+
+  const durations = await getVideoDurations(content.videos.map(video => video.id));
+
+  return {
+    ...post,
+    contentHtml: content.html,
+    videos: content.videos,
+    ...textDetails(post, content),
+    videoSeconds: totalVideoSeconds(content.videos.map(video => video.id), durations),
+  };
+}
+
+/**
+ * listedDetails - Read and process one listed post's content, once per edit
+ *
+ * Every page that lists posts reads the whole list, so the result is
+ * remembered by source, id and last edit date: each post is processed once
+ * per build (and again at runtime only after it changes). A failed read is
+ * not remembered, so it is retried on the next list. `next dev` always
+ * reads afresh, since editing a markdown file doesn't change its date.
+ *
+ * @param {object} post - Listed post
+ * @returns {Promise<object|null>} { excerpt, wordCount, readingMinutes, videoIds },
+ *                                 or null if the content can't be read
+ * @throws {ContentSourceError} If the source fails and the error policy says to throw
+ */
+async function listedDetails(post) {
+  const key = `${post.source}\n${post.id}\n${post.modified}`;
+  if (process.env.NODE_ENV !== 'development' && listedDetailsCache.has(key)) {
+    return listedDetailsCache.get(key);
+  }
+
+  const source = findSource(post.source);
+  let full;
   try {
-    // Use 'got' library to retrieve JSON data from WordPress REST API via HTTPS
-    const response = await got(dataURL);
-    
-    // Parse the JSON response body into a JavaScript object
-    jsonObj = JSON.parse(response.body);
-    
-    // Log the fetched data for debugging purposes
-    console.log('Fetched posts data:', jsonObj);
-  } catch(error) {
-    // Log error if API call fails (network issue, API down, etc.)
-    console.log('Error fetching posts:', error);
-    
-    // Return empty array so the site doesn't crash if WordPress API is unavailable
-    return [];
+    full = source ? checkPost(source, await source.getPost(post.id), POST_SCHEMA) : null;
+  } catch (error) {
+    // Throws or skips this source depending on the error policy
+    handleSourceError(source, error, { id: post.id });
+    return null;
   }
+  if (!full) {
+    return null;
+  }
+
+  // Outside the try: a processing error is a bug to fix, not a source failure
+  const content = processContent(full);
+  const details = { ...textDetails(full, content), videoIds: content.videos.map(video => video.id) };
+
+  if (listedDetailsCache.size >= CONTENT_CACHE_SIZE) {
+    listedDetailsCache.delete(listedDetailsCache.keys().next().value);
+  }
+  listedDetailsCache.set(key, details);
+  return details;
+}
+
+/**
+ * withReadingDetails - Add the excerpt, word count and time estimates to listed posts
+ *
+ * Sources list posts without their content, so each post is read in full
+ * (from the cached feed or file) and processed like its own page, once per
+ * edit (listedDetails()). A post whose content can't be read keeps empty details.
+ *
+ * @param {Array} posts - Listed posts
+ * @returns {Promise<Array>} The posts with excerpt, wordCount, readingMinutes and videoSeconds
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+async function withReadingDetails(posts) {
+  const allDetails = await Promise.all(posts.map(listedDetails));
 
-  // Sort posts alphabetically by title (A to Z) using locale-aware comparison
-  jsonObj.sort(function (a, b) {
-      return a.post_title.localeCompare(b.post_title);
+  // One lookup for every video on the list
+  const durations = await getVideoDurations(allDetails.flatMap(details => (details ? details.videoIds : [])));
+
+  return posts.map((post, index) => {
+    const details = allDetails[index];
+    if (!details) {
+      return { ...post, excerpt: '', wordCount: 0, readingMinutes: 0, videoSeconds: null };
+    }
+
+    const { videoIds, ...text } = details;
+    return { ...post, ...text, videoSeconds: totalVideoSeconds(videoIds, durations) };
   });
+}
 
-  // Transform WordPress data format to our application's expected format
-  // Map over each post and extract only the fields we need
-  return jsonObj.map(item => {
-    return {
-      id: item.ID.toString(),      // Convert numeric ID to string
-      title: item.post_title,       // WordPress post title
-      date: item.post_date          // WordPress post date (format: "2025-11-05 09:19:03")
+/**
+ * withStatus - Replace the status a source reported with the status right now
+ *
+ * @param {object} post - Post from a content source
+ * @param {Date} now - The time to check scheduled posts against
+ * @returns {object} The post with status "published", "scheduled", "draft" or "unpublished"
+ */
+function withStatus(post, now) {
+  return { ...post, status: postStatus(post, now) };
+}
+
+/**
+ * visibleUniquePosts - Keep the visible posts, with only the first post for each slug
+ *
+ * Two posts with the same slug would share one URL. During `next build`
+ * every post is checked, hidden ones included, and a collision fails the
+ * build, so a scheduled post can't collide on the day it goes live. At
+ * runtime (ISR) the live site keeps working instead: only visible posts
+ * compete for a slug, so a hidden post never takes the URL of a visible
+ * one, and the collision is logged while the post from the
+ * higher-priority source wins.
+ *
+ * @param {Array} posts - Merged posts in source priority order
+ * @param {Date} now - The time to check scheduled posts against
+ * @returns {Array} The visible posts, without later posts whose slug is taken
+ * @throws {SlugCollisionError} During `next build`, if two posts share a slug
+ */
+function visibleUniquePosts(posts, now) {
+  const candidates = isBuildPhase() ? posts : posts.filter(post => isVisible(post, now));
+  const postsBySlug = new Map();
+
+  const uniquePosts = candidates.filter(post => {
+    const existing = postsBySlug.get(post.slug);
+    if (!existing) {
+      postsBySlug.set(post.slug, post);
+      return true;
+    }
+
+    const colliding = [existing, post].map(({ id, source }) => ({ id, source }));
+    logger.error('content.slug_collision', { slug: post.slug, kept: colliding[0], skipped: colliding[1] });
+
+    if (isBuildPhase()) {
+      throw new SlugCollisionError(
+        `Posts ${colliding.map(({ id, source }) => `"${id}" (${source})`).join(' and ')} share the slug "${post.slug}"`,
+        { slug: post.slug, posts: colliding }
+      );
     }
+    return false;
   });
+
+  return uniquePosts.filter(post => isVisible(post, now));
 }
 
 /**
- * getAllPostIds - Fetch all post IDs in Next.js dynamic route format
- * 
- * This function retrieves all blog post IDs from the WordPress REST API
- * and formats them for use with Next.js getStaticPaths(). The returned
+ * collectPosts - Read the post list from every content source and merge it
+ *
+ * Sources are read in priority order. If two sources return a post with
+ * the same id, only the first one is kept and the duplicate is logged.
+ * Posts that aren't visible yet (lib/status.js) are left out, and slugs
+ * must be unique (visibleUniquePosts). A source that throws is handled by
+ * the error policy (handleSourceError). The remaining posts get their
+ * reading details (withReadingDetails).
+ *
+ * @returns {Promise<Array<PostSummary>>} Merged array of posts with id, slug, title, date, status,
+ *                                        excerpt, wordCount, readingMinutes, videoSeconds and source
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ * @throws {SlugCollisionError} During `next build`, if two posts share a slug
+ */
+async function collectPosts() {
+  const sources = getContentSources();
+
+  // Read all sources in parallel; allSettled keeps one failure from hiding the rest
+  const results = await Promise.allSettled(sources.map(source => source.listPosts()));
+
+  const postsById = new Map();
+  results.forEach((result, index) => {
+    const source = sources[index];
+
+    if (result.status === 'rejected') {
+      // A source failed (network issue, API down, unreadable file, etc.)
+      handleSourceError(source, result.reason);
+      return;
+    }
+
+    if (!Array.isArray(result.value)) {
+      handleSourceError(source, new Error('listPosts() did not return a list of posts'));
+      return;
+    }
+
+    result.value.forEach(rawPost => {
+      const post = checkPost(source, rawPost, POST_SUMMARY_SCHEMA);
+      if (!post) {
+        return;
+      }
+
+      const existing = postsById.get(post.id);
+      if (existing) {
+        logger.warn('content.duplicate_post', {
+          id: post.id,
+          skipped: post.source,
+          kept: existing.source,
+        });
+        return;
+      }
+      postsById.set(post.id, post);
+    });
+  });
+
+  const now = new Date();
+  const visiblePosts = visibleUniquePosts(Array.from(postsById.values()), now)
+    .map(post => withStatus(post, now));
+
+  return withReadingDetails(visiblePosts);
+}
+
+/**
+ * getSortedPostsData - Fetch and return all blog posts in the requested order
+ *
+ * This function retrieves the merged post list from every content source,
+ * sorts it, and returns the data needed by the home page post list.
+ *
+ * @param {object} [options] - Sorting options
+ * @param {string} [options.order] - "date-desc" (newest first), "date-asc"
+ *                                   or "title"; defaults to POST_ORDER
+ * @returns {Promise<Array<PostSummary>>} Array of post objects with id, slug, title, date, categories,
+ *                                        tags, excerpt, wordCount, readingMinutes, videoSeconds and source
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getSortedPostsData({ order = config.postOrder } = {}) {
+  const allPosts = await collectPosts();
+
+  // Sort with locale-aware comparison and a stable tie-break on id
+  return sortPosts(allPosts, order);
+}
+
+/**
+ * getAllPostIds - Fetch all post slugs in Next.js dynamic route format
+ *
+ * This function retrieves the merged post list from every content source
+ * and formats the slugs for use with Next.js getStaticPaths(). The returned
  * format tells Next.js which dynamic routes to pre-generate at build time.
- * 
+ * The route parameter keeps its name (params.id) but holds the slug.
+ *
  * Next.js requires paths in this format:
  * [
- *   { params: { id: '1' } },
- *   { params: { id: '10' } },
- *   { params: { id: '8' } }
+ *   { params: { id: 'test-wp' } },
+ *   { params: { id: 'noKitty' } }
  * ]
- * 
+ *
  * This creates routes like:
- * - /posts/1
- * - /posts/10
- * - /posts/8
- * 
- * @returns {Promise<Array>} Array of path objects with params.id
- *                           Returns empty array if API call fails
+ * - /posts/test-wp
+ * - /posts/noKitty
+ *
+ * @returns {Promise<Array>} Array of path objects with params.id set to the slug
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
  */
 export async function getAllPostIds() {
-  let jsonObj;
-  try {
-    // Use 'got' library to retrieve JSON data from WordPress REST API via HTTPS
-    const response = await got(dataURL);
-    
-    // Parse the JSON response body into a JavaScript object
-    jsonObj = JSON.parse(response.body);
-    
-    // Log the fetched post IDs for debugging purposes
-    console.log('Fetched post IDs:', jsonObj);
-  } catch(error) {
-    // Log error if API call fails (network issue, API down, etc.)
-    console.log('Error fetching post IDs:', error);
-    
-    // Return empty array so the build doesn't fail if WordPress API is unavailable
-    // With fallback: 'blocking', pages can still be generated on-demand
-    return [];
-  }
+  const allPosts = await collectPosts();
 
-  // Transform WordPress post data into Next.js path format
-  // Extract just the ID field and wrap it in the required structure
-  return jsonObj.map(item => {
+  return allPosts.map(post => {
     return {
       params: {
-        id: item.ID.toString()  // Convert numeric ID to string for URL parameter
-      }
-    }
+        id: post.slug,
+      },
+    };
   });
 }
 
+/**
+ * findSource - Look up an enabled content source by name
+ *
+ * @param {string} name - Source name recorded on a post (post.source)
+ * @returns {object|undefined} The adapter, or undefined if it isn't enabled
+ */
+function findSource(name) {
+  return getContentSources().find(source => source.name === name);
+}
+
+/**
+ * loadPost - Read one full post from one source and prepare it for a page
+ *
+ * @param {object} source - The adapter that owns the post
+ * @param {string} id - The post id within that source
+ * @param {object} options - Options
+ * @param {boolean} options.preview - Read the latest draft (getPreview) and show every status
+ * @returns {Promise<Post|null>} The prepared post, or null if the source doesn't
+ *                               have it, it is malformed or it isn't visible
+ * @throws {ContentSourceError} If the source fails and the error policy says to throw
+ */
+async function loadPost(source, id, { preview }) {
+  try {
+    const found = preview && source.getPreview
+      ? await source.getPreview(id)
+      : await source.getPost(id);
+    const post = checkPost(source, found, POST_SCHEMA);
+    if (!post) {
+      return null;
+    }
+
+    const now = new Date();
+    return preview || isVisible(post, now) ? await preparePost(withStatus(post, now)) : null;
+  } catch (error) {
+    // Throws or skips this source depending on the error policy
+    handleSourceError(source, error, { id });
+    return null;
+  }
+}
+
 /**
  * getPostData - Fetch complete data for a single blog post
- * 
- * This function retrieves all blog posts from WordPress, finds the one
- * matching the requested ID, and returns its complete data transformed
- * for display. This is used when rendering individual post pages.
- * 
- * @param {string} idRequested - The post ID to fetch (from URL parameter)
- * 
- * @returns {Promise<object>} Post object containing:
- *   - id: Post ID as string
+ *
+ * This function finds the post with the requested slug in the merged post
+ * list and loads it from the source that owns it. A post that isn't
+ * visible yet (draft, unpublished or scheduled) is treated as missing.
+ *
+ * In preview mode every post is visible, and sources that can read
+ * unpublished content (getPreview) are asked for the latest draft instead
+ * of their cached published feed. Preview links name posts by their source
+ * id (a draft isn't in the post list, and may not have a slug yet), so if
+ * no listed post has the slug, each source is asked for it as an id, in
+ * priority order.
+ *
+ * @param {string} slugRequested - The post slug to fetch (from URL parameter);
+ *                                 in preview mode, a source id also works
+ * @param {object} [options] - Options
+ * @param {boolean} [options.preview=false] - Read drafts for preview mode
+ *
+ * @returns {Promise<Post|null>} Post object containing:
+ *   - id: Post ID within its source, as string
+ *   - slug: URL slug of the post
  *   - title: Post title
  *   - date: Publication date
- *   - contentHtml: Full HTML content of the post
- * 
- * If API call fails, returns an error post object instead of crashing
+ *   - status: "published" (or "draft", "scheduled", "unpublished" in preview mode or with SHOW_DRAFTS)
+ *   - categories, tags: Arrays of { name, slug }
+ *   - contentHtml: Full HTML content of the post, sanitized (lib/sanitize.js),
+ *     with video placeholders (lib/embeds.js)
+ *   - videos: YouTube videos in the post, as [{ id, title }]
+ *   - excerpt: The post's own excerpt or the plain-text start of the post (at most 160 characters)
+ *   - wordCount, readingMinutes: Length of the text and the time to read it
+ *   - videoSeconds: Total length of the embedded videos, or null if unknown
+ *   - source: Name of the content source the post came from
+ *   or null if no post has that slug (the page should 404)
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
  */
-export async function getPostData(idRequested) {
-  let jsonObj;
-  try {
-    // Use 'got' library to retrieve JSON data from WordPress REST API via HTTPS
-    const response = await got(dataURL);
-    
-    // Parse the JSON response body into a JavaScript object
-    jsonObj = JSON.parse(response.body);
-    
-    // Log the fetched post data for debugging purposes
-    console.log('Fetched post data:', jsonObj);
-  } catch(error) {
-    // Log error if API call fails (network issue, API down, etc.)
-    console.log('Error fetching post data:', error);
-    
-    // Return a fallback error post so the page doesn't crash
-    // Uses current date/time in ISO format for consistency
-    return {
-      id: idRequested,
-      title: 'Error loading post',
-      date: new Date().toISOString(),
-      contentHtml: '<p>Unable to load post content.</p>'
-    };
+export async function getPostData(slugRequested, { preview = false } = {}) {
+  const summary = (await collectPosts()).find(post => post.slug === slugRequested);
+  if (summary) {
+    const source = findSource(summary.source);
+    return source ? loadPost(source, summary.id, { preview }) : null;
   }
 
-  // Find the specific post matching the requested ID
-  // Filter returns an array, so we'll extract the first (and only) match
-  const objMatch = jsonObj.filter(obj => {
-    return obj.ID.toString() === idRequested;
-  });
+  if (preview) {
+    for (const source of getContentSources()) {
+      const post = await loadPost(source, slugRequested, { preview });
+      if (post) {
+        return post;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * getPostSlug - Look up the slug of a post by its source id
+ *
+ * Post URLs used to end in the id (/posts/12). Pages call this when no
+ * post has the requested slug, to send old links to the new URL.
+ *
+ * @param {string} id - A post id, such as a WordPress post ID
+ * @returns {Promise<string|null>} The slug, or null if no visible post has
+ *                                 that id or its slug is the id itself
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getPostSlug(id) {
+  const post = (await collectPosts()).find(candidate => candidate.id === id);
+  return post && post.slug !== id ? post.slug : null;
+}
+
+/**
+ * getAllPostsData - Fetch every post including its HTML content
+ *
+ * Used by outputs that need the full text of every post, such as the
+ * RSS/Atom/JSON feeds. Each post is loaded and prepared exactly as
+ * getPostData() does for its own page.
+ *
+ * @param {object} [options] - Sorting options, as for getSortedPostsData()
+ * @returns {Promise<Array<Post>>} Full post objects in the requested order
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getAllPostsData(options) {
+  const sortedPosts = await getSortedPostsData(options);
+  const fullPosts = await Promise.all(sortedPosts.map(post => {
+    const source = findSource(post.source);
+    return source ? loadPost(source, post.id, { preview: false }) : null;
+  }));
+
+  // A post can vanish between the two reads if a source is skipped by the error policy
+  return fullPosts.filter(Boolean);
+}
+
+/**
+ * assertTaxonomy - Check that a taxonomy name is supported
+ *
+ * @param {string} taxonomy - "tags" or "categories"
+ * @throws {Error} If the taxonomy is unknown
+ */
+function assertTaxonomy(taxonomy) {
+  if (!TAXONOMIES[taxonomy]) {
+    throw new Error(`Unknown taxonomy "${taxonomy}". Supported taxonomies: ${Object.keys(TAXONOMIES).join(', ')}`);
+  }
+}
+
+/**
+ * getAllTerms - Fetch every tag or category used by at least one post
+ *
+ * Used by getStaticPaths() of the tag and category listing pages.
+ *
+ * @param {string} taxonomy - "tags" or "categories"
+ * @returns {Promise<Array>} Terms with name, slug and count, sorted by name
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getAllTerms(taxonomy) {
+  assertTaxonomy(taxonomy);
+  return collectTerms(await collectPosts(), taxonomy);
+}
+
+/**
+ * getPostsByTerm - Fetch the posts filed under one tag or category
+ *
+ * @param {string} taxonomy - "tags" or "categories"
+ * @param {string} slug - The term slug (e.g. "south-park")
+ * @param {object} [options] - Sorting options, as for getSortedPostsData()
+ * @returns {Promise<object|null>} { term, posts } with the term's name and slug
+ *                                 and its sorted posts, or null if no post uses the term
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getPostsByTerm(taxonomy, slug, options) {
+  assertTaxonomy(taxonomy);
 
-  // Extract the matched post object, or use empty object if no match found
-  let objReturned;
-  if (objMatch.length > 0) {
-    objReturned = objMatch[0];  // Post was found
-  } else {
-    objReturned = {};            // Post ID doesn't exist
+  const posts = filterPostsByTerm(await getSortedPostsData(options), taxonomy, slug);
+  if (posts.length === 0) {
+    return null;
   }
 
-  // Transform WordPress data format to our application's expected format
-  // Provide fallback empty strings if post wasn't found
-  return {
-    id: objReturned.ID ? objReturned.ID.toString() : idRequested,  // Use requested ID as fallback
-    title: objReturned.post_title || '',                            // Post title or empty string
-    date: objReturned.post_date || '',                              // Post date or empty string
-    contentHtml: objReturned.post_content || ''                     // HTML content or empty string
-  };
+  const { name } = posts[0][taxonomy].find(term => term.slug === slug);
+  return { term: { name, slug }, posts };
+}
+
+/**
+ * getArchive - Count the posts published in every year and month
+ *
+ * Used by the archive index and getStaticPaths() of the archive pages.
+ *
+ * @returns {Promise<Array>} Years, newest first, as { year, count, months }
+ *                           (see collectArchive() in lib/archive.js)
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getArchive() {
+  return collectArchive(await collectPosts());
+}
+
+/**
+ * getPostsByPeriod - Fetch the posts published in one year or month
+ *
+ * @param {object} period - { year, month } with month null for a whole year
+ *                          (parsePeriod() in lib/archive.js reads it from the URL)
+ * @param {object} [options] - Sorting options, as for getSortedPostsData()
+ * @returns {Promise<object|null>} { period, posts } with the sorted posts,
+ *                                 or null if no post was published in the period
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getPostsByPeriod(period, options) {
+  const posts = filterPostsByPeriod(await getSortedPostsData(options), period);
+  return posts.length > 0 ? { period, posts } : null;
 }
@@ -0,0 +1,59 @@
+/**
+ * PREVIEW MODE HELPERS (preview.js)
+ *
+ * Purpose: This module holds the checks shared by the /api/preview and
+ * /api/exit-preview routes, which turn Next.js draft mode on and off so
+ * editors can see unpublished WordPress posts in the site layout.
+ *
+ * Key Features:
+ * - Checks the preview secret (in constant time, see lib/secrets.js)
+ * - Only allows redirects to paths on this site, so the preview routes
+ *   can't be used as an open redirect
+ *
+ * Settings (see lib/config.js): PREVIEW_SECRET
+ */
+
+// Import configuration for the shared secret
+import { config } from './config.js';
+
+// Import the constant-time secret comparison
+import { matchesSecret } from './secrets.js';
+
+/**
+ * isValidPreviewSecret - Check the secret an editor passed to /api/preview
+ *
+ * @param {string|undefined} secret - The secret from the query string
+ * @returns {boolean} True if preview is enabled (PREVIEW_SECRET set) and the secret matches
+ */
+export function isValidPreviewSecret(secret) {
+  return matchesSecret(secret, config.previewSecret);
+}
+
+// Stand-in origin for resolving redirect targets; only its identity matters
+const LOCAL_ORIGIN = 'http://localhost';
+
+/**
+ * safeRedirectPath - Accept a redirect target only if it stays on this site
+ *
+ * Browsers drop tabs and newlines from URLs and read "\" as "/", so
+ * "/%09/host" or "/\host" would leave the site; such values are rejected,
+ * and the rest are resolved the way a browser would and must stay on the
+ * same origin.
+ *
+ * @param {string|undefined} value - The requested path (e.g. "/posts/12")
+ * @param {string} [fallback='/'] - Path to use when the value isn't a local path
+ * @returns {string} A path starting with a single "/"
+ */
+export function safeRedirectPath(value, fallback = '/') {
+  if (typeof value !== 'string' || !value.startsWith('/') || /[\s\p{Cc}]/u.test(value)) {
+    return fallback;
+  }
+
+  let url;
+  try {
+    url = new URL(value, LOCAL_ORIGIN);
+  } catch {
+    return fallback;
+  }
+  return url.origin === LOCAL_ORIGIN ? `${url.pathname}${url.search}${url.hash}` : fallback;
+}
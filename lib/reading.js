@@ -0,0 +1,49 @@
+/**
+ * READING TIME (reading.js)
+ *
+ * Purpose: This module estimates how long a post takes to get through: the
+ * time to read its text, plus the running time of its embedded videos when
+ * it is known (lib/youtube.js). It has no server-only imports, so the
+ * ReadingTime component uses it in the browser too.
+ *
+ * Example Usage:
+ * countWords('Tom & Jerry, again!');       // 3
+ * readingMinutes(450);                     // 2
+ * watchMinutes(253);                       // 5
+ */
+
+// Average adult silent reading speed for screen text
+export const WORDS_PER_MINUTE = 200;
+
+/**
+ * countWords - Count the words in plain text
+ *
+ * Only runs of letters or digits count, so punctuation such as "&" or a
+ * lone "-" isn't a word.
+ *
+ * @param {string} text - Plain text (see htmlToText() in lib/text.js)
+ * @returns {number} Number of words
+ */
+export function countWords(text) {
+  return (String(text || '').match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+}
+
+/**
+ * readingMinutes - Estimate the time needed to read some words
+ *
+ * @param {number} wordCount - Number of words
+ * @returns {number} Whole minutes, at least 1 for any text, 0 for none
+ */
+export function readingMinutes(wordCount) {
+  return wordCount > 0 ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : 0;
+}
+
+/**
+ * watchMinutes - Round a video running time up to whole minutes
+ *
+ * @param {number|null} seconds - Total running time of a post's videos
+ * @returns {number} Whole minutes, 0 if the running time is unknown
+ */
+export function watchMinutes(seconds) {
+  return seconds > 0 ? Math.ceil(seconds / 60) : 0;
+}
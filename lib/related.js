@@ -0,0 +1,126 @@
+/**
+ * POST NAVIGATION (related.js)
+ *
+ * Purpose: This module picks the posts linked from the bottom of a post
+ * page, so readers can keep watching instead of hitting a dead end: the
+ * previous and next posts in the index order, and a few related posts.
+ *
+ * Related posts are scored by:
+ * - Shared tags (3 points each)
+ * - Shared categories (1 point each)
+ * - Title similarity: the share of title words the two posts have in
+ *   common, ignoring short filler words (up to 2 points)
+ * Posts scoring 0 are never suggested. Equal scores keep the index order.
+ *
+ * Example Usage:
+ * const posts = await getSortedPostsData();
+ * adjacentPosts(posts, 'noKitty'); // { previous: {...} | null, next: {...} | null }
+ * relatedPosts(posts, postData);   // [{ id: 'starvinMarvin', ... }]
+ */
+
+// Points per shared tag, per shared category, and for identical titles
+const TAG_WEIGHT = 3;
+const CATEGORY_WEIGHT = 1;
+const TITLE_WEIGHT = 2;
+
+// Words too common to make two titles similar
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'is', 'it', 'my', 'of',
+  'on', 'one', 'or', 'that', 'the', 'this', 'to', 'with', 'your',
+]);
+
+/**
+ * toLink - Keep only the fields a link to a post needs
+ *
+ * @param {object} post - Post summary
+ * @returns {object} { id, slug, title, date }
+ */
+function toLink(post) {
+  return { id: post.id, slug: post.slug, title: post.title, date: post.date };
+}
+
+/**
+ * adjacentPosts - Find the posts before and after a post in a sorted list
+ *
+ * @param {Array} sortedPosts - Posts in index order (getSortedPostsData())
+ * @param {string} id - The current post id
+ * @returns {object} { previous, next } as { id, slug, title, date }, or null at either end
+ *                   (both null if the post isn't in the list, e.g. a preview)
+ */
+export function adjacentPosts(sortedPosts, id) {
+  const index = sortedPosts.findIndex(post => post.id === id);
+  if (index === -1) {
+    return { previous: null, next: null };
+  }
+
+  return {
+    previous: index > 0 ? toLink(sortedPosts[index - 1]) : null,
+    next: index < sortedPosts.length - 1 ? toLink(sortedPosts[index + 1]) : null,
+  };
+}
+
+/**
+ * titleWords - Split a title into lower-case words, minus stop words
+ *
+ * @param {string} title - Post title
+ * @returns {Set<string>} Distinct meaningful words
+ */
+function titleWords(title) {
+  const words = String(title || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word));
+  return new Set(words);
+}
+
+/**
+ * countShared - Count the term slugs two term lists have in common
+ *
+ * @param {Array} termsA - Terms with slug
+ * @param {Array} termsB - Terms with slug
+ * @returns {number} Number of shared slugs
+ */
+function countShared(termsA = [], termsB = []) {
+  const slugs = new Set(termsA.map(term => term.slug));
+  return termsB.filter(term => slugs.has(term.slug)).length;
+}
+
+/**
+ * titleSimilarity - Compare two titles by their words (Jaccard index)
+ *
+ * @param {Set<string>} wordsA - Words of the first title
+ * @param {Set<string>} wordsB - Words of the second title
+ * @returns {number} 0 (nothing in common) to 1 (same words)
+ */
+function titleSimilarity(wordsA, wordsB) {
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  const total = new Set([...wordsA, ...wordsB]).size;
+  return total === 0 ? 0 : shared / total;
+}
+
+/**
+ * relatedPosts - Pick the posts most similar to a post
+ *
+ * @param {Array} sortedPosts - Posts in index order, with tags and categories
+ * @param {object} post - The current post (id, title, tags, categories)
+ * @param {number} [limit=3] - Maximum number of posts to return
+ * @returns {Array} Up to `limit` posts as { id, slug, title, date, tags }, best match first
+ */
+export function relatedPosts(sortedPosts, post, limit = 3) {
+  const words = titleWords(post.title);
+
+  return sortedPosts
+    .filter(candidate => candidate.id !== post.id)
+    .map((candidate, index) => ({
+      candidate,
+      index,
+      score:
+        TAG_WEIGHT * countShared(post.tags, candidate.tags) +
+        CATEGORY_WEIGHT * countShared(post.categories, candidate.categories) +
+        TITLE_WEIGHT * titleSimilarity(words, titleWords(candidate.title)),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ candidate }) => ({ ...toLink(candidate), tags: candidate.tags }));
+}
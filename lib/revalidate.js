@@ -0,0 +1,130 @@
+/**
+ * ON-DEMAND REVALIDATION (revalidate.js)
+ *
+ * Purpose: This module works out which statically generated pages must be
+ * regenerated after a post changes, for the /api/revalidate webhook that
+ * WordPress calls when a post is saved or published.
+ *
+ * Pages regenerated for a changed post:
+ * - The post page itself (/posts/<slug>), which turns into a 404 if the post
+ *   was unpublished or deleted, and its old numeric URL (/posts/<id>), whose
+ *   cached redirect must follow a changed slug
+ * - The posts before and after it in the index order, whose previous/next
+ *   links point at it
+ * - The home page and every numbered index page (/page/2, ...), since a new
+ *   post shifts every later post down a page
+ * - The listing page of each tag and category the post is filed under
+ * - The archive index and the post's year and month archive pages
+ * - The search page, whose index is built from every post
+ *
+ * Terms removed from a post, the archive month it was moved out of and the
+ * page under its previous slug are not known here; they catch up at the
+ * next REVALIDATE_SECONDS safety-net regeneration. The slug in the webhook
+ * payload, if any, is used when the post has left the post list
+ * (unpublished or deleted).
+ *
+ * Example Usage:
+ * import { getRevalidationPaths, readWebhookPostId, readWebhookSlug } from './revalidate.js';
+ * const paths = await getRevalidationPaths(readWebhookPostId(req.body), { slug: readWebhookSlug(req.body) });
+ */
+
+// Import configuration for the page size
+import { config } from './config.js';
+
+// Import the post list reader
+import { getSortedPostsData } from './posts.js';
+
+// Import the helper that finds a post's neighbors in the index order
+import { adjacentPosts } from './related.js';
+
+// Import the URL builders for each kind of page
+import { countPages, pagePath } from './pagination.js';
+import { archivePath, postPeriod } from './archive.js';
+import { termPath } from './taxonomy.js';
+import { postPath } from './urls.js';
+
+/**
+ * readWebhookField - Find the first field set in a webhook payload
+ *
+ * @param {object|undefined} body - Parsed JSON (or form) request body
+ * @param {Function} pickValues - Returns the candidate values, given the body and its nested post object
+ * @returns {string|null} The first non-empty value as a string, or null
+ */
+function readWebhookField(body, pickValues) {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+
+  const post = body.post && typeof body.post === 'object' ? body.post : {};
+  const value = pickValues(body, post)
+    .find(candidate => candidate !== undefined && candidate !== null && candidate !== '');
+
+  return value === undefined ? null : String(value);
+}
+
+/**
+ * readWebhookPostId - Find the post id in a webhook payload
+ *
+ * Webhook plugins send the post in different shapes, so the usual fields
+ * are all accepted: { post_id }, { ID }, { id } and { post: { ID | id } }.
+ *
+ * @param {object|undefined} body - Parsed JSON (or form) request body
+ * @returns {string|null} The post id, or null if the payload doesn't name a post
+ */
+export function readWebhookPostId(body) {
+  return readWebhookField(body, (fields, post) => [fields.post_id, fields.ID, fields.id, post.ID, post.id]);
+}
+
+/**
+ * readWebhookSlug - Find the post slug in a webhook payload
+ *
+ * Accepted fields: { post_name }, { slug } and { post: { post_name | slug } }.
+ *
+ * @param {object|undefined} body - Parsed JSON (or form) request body
+ * @returns {string|null} The slug, or null if the payload doesn't include one
+ */
+export function readWebhookSlug(body) {
+  return readWebhookField(body, (fields, post) => [fields.post_name, fields.slug, post.post_name, post.slug]);
+}
+
+/**
+ * getRevalidationPaths - List the pages to regenerate after a post changed
+ *
+ * @param {string|null} postId - The changed post, or null to refresh only the index pages
+ * @param {object} [options] - Options
+ * @param {string|null} [options.slug] - The post's slug from the webhook payload, if sent
+ * @returns {Promise<Array<string>>} Site paths, without duplicates
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getRevalidationPaths(postId, { slug = null } = {}) {
+  const posts = await getSortedPostsData();
+  const post = postId ? posts.find(candidate => candidate.id === postId) : null;
+
+  const paths = new Set(['/', '/search', archivePath()]);
+
+  const totalPages = countPages(posts.length, config.postsPerPage);
+  for (let page = 2; page <= totalPages; page++) {
+    paths.add(pagePath(page));
+  }
+
+  if (postId) {
+    paths.add(postPath(postId));
+    [post && post.slug, slug].filter(Boolean).forEach(postSlug => paths.add(postPath(postSlug)));
+
+    const { previous, next } = adjacentPosts(posts, postId);
+    [previous, next].filter(Boolean).forEach(neighbor => paths.add(postPath(neighbor.slug)));
+  }
+
+  if (post) {
+    post.categories.forEach(term => paths.add(termPath('categories', term.slug)));
+    post.tags.forEach(term => paths.add(termPath('tags', term.slug)));
+
+    const period = postPeriod(post);
+    if (period) {
+      paths.add(archivePath(period.year));
+      paths.add(archivePath(period.year, period.month));
+    }
+  }
+
+  return Array.from(paths);
+}
@@ -0,0 +1,322 @@
+/**
+ * HTML SANITIZER (sanitize.js)
+ *
+ * Purpose: This module cleans post HTML on the server before pages inject it
+ * with dangerouslySetInnerHTML. Content comes from a remote WordPress site
+ * and from markdown files with raw HTML, so a compromised or careless editor
+ * could otherwise ship scripts to every visitor.
+ *
+ * Key Features:
+ * - Allow-list of elements and attributes; everything else is removed
+ * - Removes <script>, <style>, <object> and similar elements with their content
+ * - Removes every inline event handler attribute (onclick, onerror, ...)
+ * - Removes javascript:, data: and other unsafe URLs from links and images
+ * - Adds rel="noopener noreferrer" to links that open a new window
+ * - Prefixes ids and names with "user-content-" (and in-page links to them),
+ *   so post content can't clobber DOM globals or the site's own ids
+ * - Keeps YouTube / youtube-nocookie embed iframes; removes all other iframes
+ * - Keeps the disabled checkboxes of markdown task lists; removes all other inputs
+ * - Reports everything it removed, so editors can fix the source post
+ *
+ * Example Usage:
+ * import { sanitizeHtml } from './sanitize.js';
+ * const { html, removed } = sanitizeHtml('<p onclick="x()">Hi</p><script>alert(1)</script>');
+ * // html:    '<p>Hi</p>'
+ * // removed: [{ kind: 'attribute', name: 'onclick', element: 'p' },
+ * //           { kind: 'element', name: 'script' }]
+ */
+
+// Import unified with the HTML parser and serializer plugins
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+import rehypeStringify from 'rehype-stringify';
+
+// Elements removed together with everything inside them
+const DROPPED_ELEMENTS = new Set([
+  'script', 'style', 'noscript', 'template', 'object', 'embed', 'applet',
+  'frame', 'frameset', 'base', 'link', 'meta', 'svg', 'math', 'form',
+]);
+
+// Elements kept, mapped to the attributes (hast property names) allowed on each
+// (attributes in GLOBAL_ATTRIBUTES are allowed everywhere). A Map, so tag names
+// such as "constructor" can't match inherited object properties.
+const ALLOWED_ELEMENTS = new Map(Object.entries({
+  a: ['href', 'name', 'target', 'rel'],
+  abbr: [],
+  b: [],
+  blockquote: ['cite'],
+  br: [],
+  caption: [],
+  cite: [],
+  code: [],
+  col: ['span'],
+  colgroup: ['span'],
+  dd: [],
+  del: ['cite', 'dateTime'],
+  details: ['open'],
+  div: [],
+  dl: [],
+  dt: [],
+  em: [],
+  figcaption: [],
+  figure: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  hr: [],
+  i: [],
+  iframe: ['src', 'width', 'height', 'allow', 'allowFullScreen', 'frameBorder', 'loading', 'referrerPolicy'],
+  img: ['src', 'srcSet', 'sizes', 'alt', 'width', 'height', 'loading'],
+  input: ['type', 'checked', 'disabled'],
+  ins: ['cite', 'dateTime'],
+  kbd: [],
+  li: ['value'],
+  mark: [],
+  ol: ['start', 'reversed', 'type'],
+  p: [],
+  pre: [],
+  q: ['cite'],
+  s: [],
+  section: [],
+  small: [],
+  span: [],
+  strong: [],
+  sub: [],
+  summary: [],
+  sup: [],
+  table: [],
+  tbody: [],
+  td: ['colSpan', 'rowSpan', 'align'],
+  tfoot: [],
+  th: ['colSpan', 'rowSpan', 'align', 'scope'],
+  thead: [],
+  time: ['dateTime'],
+  tr: [],
+  u: [],
+  ul: [],
+}));
+
+// Attributes (hast property names) allowed on every kept element
+const GLOBAL_ATTRIBUTES = new Set(['className', 'id', 'title', 'lang', 'dir', 'style']);
+
+// Prefix given to ids and names from post content (the one GFM footnotes use too)
+const ID_PREFIX = 'user-content-';
+
+// Attributes (hast property names) that name an element or refer to one by id
+const ID_ATTRIBUTES = new Set(['id', 'name', 'ariaDescribedBy', 'ariaLabelledBy']);
+
+// Attributes that hold URLs and must use a safe protocol
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+// Protocols allowed in URL attributes (relative URLs are always allowed)
+const SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:', 'tel:']);
+
+// Hosts whose /embed/ URLs may be loaded in an iframe
+const EMBED_HOSTS = new Set([
+  'www.youtube.com',
+  'youtube.com',
+  'www.youtube-nocookie.com',
+  'youtube-nocookie.com',
+]);
+
+// Inline style content that can run code or load remote resources
+const UNSAFE_STYLE = /expression\s*\(|javascript:|url\s*\(|@import|behavior\s*:/i;
+
+// HTML fragment parser and serializer
+const processor = unified()
+  .use(rehypeParse, { fragment: true })
+  .use(rehypeStringify);
+
+/**
+ * isSafeUrl - Check whether a URL uses an allowed protocol
+ *
+ * Browsers ignore whitespace and control characters inside the scheme
+ * ("java\nscript:"), so they are stripped before checking.
+ *
+ * @param {string} value - The attribute value
+ * @returns {boolean} True for relative URLs and allowed protocols
+ */
+function isSafeUrl(value) {
+  const url = String(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_PROTOCOLS.has(`${scheme[1].toLowerCase()}:`);
+}
+
+/**
+ * prefixId - Move an id from post content out of the site's own namespace
+ *
+ * @param {string} value - The id or name
+ * @returns {string} The id with ID_PREFIX in front (added only once)
+ */
+function prefixId(value) {
+  const id = String(value);
+  return id.startsWith(ID_PREFIX) ? id : `${ID_PREFIX}${id}`;
+}
+
+/**
+ * isAllowedEmbed - Check whether an iframe source is a YouTube embed
+ *
+ * @param {string} src - The iframe src attribute
+ * @returns {boolean} True for https (or protocol-relative) YouTube /embed/ URLs
+ */
+function isAllowedEmbed(src) {
+  try {
+    const url = new URL(String(src), 'https://invalid.local');
+    return url.protocol === 'https:' && EMBED_HOSTS.has(url.hostname) && url.pathname.startsWith('/embed/');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * isTaskListCheckbox - Check whether an input is a task list checkbox
+ *
+ * Markdown task lists ("- [x] done") render as disabled checkboxes, which
+ * can't submit or change anything. Every other input is removed.
+ *
+ * @param {object} properties - The input's hast properties
+ * @returns {boolean} True for disabled checkboxes
+ */
+function isTaskListCheckbox(properties = {}) {
+  return properties.type === 'checkbox' && properties.disabled === true;
+}
+
+/**
+ * isAllowedAttribute - Check whether an element may keep an attribute
+ *
+ * @param {string} tagName - The element name
+ * @param {string} property - The hast property name (e.g. "className", "onClick")
+ * @returns {boolean} True if the attribute is on the allow-list
+ */
+function isAllowedAttribute(tagName, property) {
+  if (/^on/i.test(property)) {
+    return false; // Event handlers are never allowed, even if a list mentions them
+  }
+  if (/^dataVideo[A-Z]/.test(property)) {
+    return false; // data-video-* marks trusted video placeholders, added later by lib/embeds.js
+  }
+  if (/^(data|aria)[A-Z]/.test(property)) {
+    return true; // data-* and aria-* attributes
+  }
+  return GLOBAL_ATTRIBUTES.has(property) || ALLOWED_ELEMENTS.get(tagName).includes(property);
+}
+
+/**
+ * cleanProperties - Remove disallowed and unsafe attributes from an element
+ *
+ * Kept ids and names get ID_PREFIX, and so do in-page links ("#section"),
+ * so they still point at the same element. Links with a target can't reach
+ * back into this page through window.opener.
+ *
+ * @param {object} node - A hast element (modified in place)
+ * @param {Array} removed - Report list that removals are appended to
+ */
+function cleanProperties(node, removed) {
+  const properties = node.properties || {};
+
+  Object.keys(properties).forEach(property => {
+    const value = properties[property];
+    const name = property.toLowerCase();
+
+    if (!isAllowedAttribute(node.tagName, property)) {
+      removed.push({ kind: 'attribute', name, element: node.tagName });
+      delete properties[property];
+    } else if (URL_ATTRIBUTES.has(property) && !isSafeUrl(value)) {
+      removed.push({ kind: 'url', name, element: node.tagName, value: String(value).slice(0, 100) });
+      delete properties[property];
+    } else if (property === 'srcSet' && [].concat(value).some(candidate => !isSafeUrl(candidate))) {
+      removed.push({ kind: 'url', name, element: node.tagName });
+      delete properties[property];
+    } else if (property === 'style' && UNSAFE_STYLE.test(String(value))) {
+      removed.push({ kind: 'attribute', name, element: node.tagName, value: String(value).slice(0, 100) });
+      delete properties[property];
+    } else if (ID_ATTRIBUTES.has(property)) {
+      properties[property] = Array.isArray(value) ? value.map(prefixId) : prefixId(value);
+    } else if (property === 'href' && /^#./.test(String(value))) {
+      properties[property] = `#${prefixId(String(value).slice(1))}`;
+    }
+  });
+
+  if (node.tagName === 'a' && properties.target) {
+    properties.rel = [...new Set([...[].concat(properties.rel || []), 'noopener', 'noreferrer'])];
+  }
+}
+
+/**
+ * cleanChildren - Sanitize a list of hast nodes
+ *
+ * - Text nodes are kept
+ * - Comments and doctypes are dropped silently
+ * - Allowed elements are kept with their attributes cleaned
+ * - Dangerous elements (DROPPED_ELEMENTS, non-YouTube iframes, inputs other
+ *   than task list checkboxes) are removed with their content
+ * - Any other element is unwrapped: the tag is removed but its content is kept
+ *
+ * @param {Array} nodes - hast child nodes
+ * @param {Array} removed - Report list that removals are appended to
+ * @returns {Array} The sanitized nodes
+ */
+function cleanChildren(nodes, removed) {
+  return nodes.flatMap(node => {
+    if (node.type === 'text') {
+      return [node];
+    }
+    if (node.type !== 'element') {
+      return [];
+    }
+
+    const { tagName } = node;
+
+    if (DROPPED_ELEMENTS.has(tagName)) {
+      removed.push({ kind: 'element', name: tagName });
+      return [];
+    }
+
+    if (tagName === 'iframe' && !isAllowedEmbed(node.properties && node.properties.src)) {
+      removed.push({ kind: 'element', name: tagName, value: String((node.properties || {}).src || '').slice(0, 100) });
+      return [];
+    }
+
+    if (tagName === 'input' && !isTaskListCheckbox(node.properties)) {
+      removed.push({ kind: 'element', name: tagName });
+      return [];
+    }
+
+    if (!ALLOWED_ELEMENTS.has(tagName)) {
+      removed.push({ kind: 'element', name: tagName, unwrapped: true });
+      return cleanChildren(node.children || [], removed);
+    }
+
+    cleanProperties(node, removed);
+    node.children = cleanChildren(node.children || [], removed);
+    return [node];
+  });
+}
+
+/**
+ * sanitizeHtml - Remove everything not on the allow-list from an HTML fragment
+ *
+ * @param {string} html - Untrusted HTML
+ * @returns {object} { html, removed } - The safe HTML, and one report entry
+ *   per removal: { kind: 'element' | 'attribute' | 'url', name, element?, value?, unwrapped? }
+ */
+export function sanitizeHtml(html) {
+  const tree = processor.parse(html || '');
+  const removed = [];
+
+  tree.children = cleanChildren(tree.children, removed);
+
+  return { html: processor.stringify(tree), removed };
+}
+
+/**
+ * summarizeRemovals - Count report entries by kind and name for logging
+ *
+ * @param {Array} removed - Report entries from sanitizeHtml()
+ * @returns {object} Counts such as { 'element:script': 1, 'attribute:onclick': 2 }
+ */
+export function summarizeRemovals(removed) {
+  return removed.reduce((counts, entry) => {
+    const key = `${entry.kind}:${entry.name}`;
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {});
+}
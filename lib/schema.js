@@ -0,0 +1,202 @@
+/**
+ * RUNTIME SCHEMAS (schema.js)
+ *
+ * Purpose: This module checks data that comes from outside the code (API
+ * responses, front matter) against a declared schema, and declares the post
+ * shape every content source hands to lib/posts.js (POST_SUMMARY_SCHEMA,
+ * POST_SCHEMA and the Post typedefs).
+ *
+ * Fields are coerced to their declared type where that is safe. A problem
+ * with a required field makes the whole record invalid; a problem with an
+ * optional field is a warning, and the field falls back to its default.
+ * Undeclared fields are dropped.
+ *
+ * Example Usage:
+ * import { validateRecord } from './schema.js';
+ * validateRecord({ ID: '12', post_title: 7 }, {
+ *   ID: { type: 'integer', required: true },
+ *   post_title: { type: 'string' },
+ * });
+ * // { value: { ID: 12, post_title: '7' }, errors: [], warnings: [] }
+ */
+
+// Import the shared date parser
+import { parsePostDate } from './dates.js';
+
+// Import the helper that normalizes categories and tags
+import { normalizeTerms } from './taxonomy.js';
+
+// Import the list of post statuses
+import { STATUSES } from './status.js';
+
+// WordPress's placeholder for a date that was never set (e.g. the GMT date of a draft)
+const ZERO_DATE = '0000-00-00 00:00:00';
+
+/**
+ * @typedef {object} Term
+ * @property {string} name - Display name, e.g. "South Park"
+ * @property {string} slug - URL slug, e.g. "south-park"
+ */
+
+/**
+ * @typedef {object} PostSummary
+ * @property {string} id - Post id within its source (WordPress ID or file name)
+ * @property {string} slug - URL slug (/posts/<slug>)
+ * @property {string} title - Post title
+ * @property {string} date - Publication date (see lib/dates.js), or '' if unknown
+ * @property {string} modified - Last edit date, or the publication date
+ * @property {string} status - "published", "scheduled", "draft" or "unpublished" (lib/status.js)
+ * @property {string} publishAt - Time the post becomes visible, or ''
+ * @property {string} excerpt - Short plain-text summary
+ * @property {Array<Term>} categories - Categories of the post
+ * @property {Array<Term>} tags - Tags of the post
+ * @property {string} source - Name of the content source the post came from
+ * @property {number} [wordCount] - Words in the post (added by lib/posts.js)
+ * @property {number} [readingMinutes] - Estimated reading time (added by lib/posts.js)
+ * @property {number|null} [videoSeconds] - Total video length, or null if unknown (added by lib/posts.js)
+ */
+
+/**
+ * @typedef {PostSummary & {contentHtml: string, videos: Array<{id: string, title: string}>}} Post
+ * A full post: the summary fields plus its sanitized HTML (contentHtml) and
+ * the YouTube videos it embeds (videos, added by lib/posts.js).
+ */
+
+/**
+ * describe - Show a value in a problem message
+ *
+ * @param {*} value - The offending value
+ * @returns {string} Short description such as '"yesterday"', 'an object' or 'true'
+ */
+function describe(value) {
+  if (Array.isArray(value)) {
+    return 'a list';
+  }
+  if (value && typeof value === 'object') {
+    return 'an object';
+  }
+
+  const text = JSON.stringify(value) ?? String(value);
+  return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Coercion rules per field type; each returns { value } or { problem }
+const FIELD_TYPES = {
+  string(value) {
+    if (typeof value === 'string') {
+      return { value };
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return { value: String(value) };
+    }
+    return { problem: `expected text, got ${describe(value)}` };
+  },
+
+  integer(value) {
+    const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isSafeInteger(number) && number > 0
+      ? { value: number }
+      : { problem: `expected a positive whole number, got ${describe(value)}` };
+  },
+
+  date(value) {
+    const valid = typeof value === 'string' && (value === '' || value === ZERO_DATE || parsePostDate(value));
+    return valid ? { value } : { problem: `expected a date, got ${describe(value)}` };
+  },
+
+  terms(value) {
+    return typeof value === 'string' || Array.isArray(value)
+      ? { value: normalizeTerms(value) }
+      : { problem: `expected a list of terms, got ${describe(value)}` };
+  },
+
+  enum(value, spec) {
+    return spec.values.includes(value)
+      ? { value }
+      : { problem: `expected one of ${spec.values.join(', ')}, got ${describe(value)}` };
+  },
+};
+
+/**
+ * defaultValue - Return the value an empty or rejected field falls back to
+ *
+ * @param {object} spec - Field declaration
+ * @returns {*} spec.default if declared, otherwise the type's empty value
+ */
+function defaultValue(spec) {
+  if ('default' in spec) {
+    return spec.default;
+  }
+  if (spec.type === 'terms') {
+    return [];
+  }
+  return spec.type === 'integer' ? null : '';
+}
+
+/**
+ * validateRecord - Check one record against a schema and coerce its fields
+ *
+ * Field Declarations:
+ * - type: "string", "integer", "date", "terms" or "enum" (with values: [...])
+ * - required: The record is invalid without a usable value (an empty string counts as missing)
+ * - default: Value used when the field is missing or rejected
+ *
+ * @param {*} record - The untrusted record
+ * @param {object} schema - Field declarations, keyed by field name
+ * @returns {object} { value, errors, warnings }: the coerced record (null if
+ *                   it is invalid), problems that make it invalid, and
+ *                   problems that were fixed by falling back to a default,
+ *                   each as "field: description"
+ */
+export function validateRecord(record, schema) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return { value: null, errors: [`expected an object, got ${describe(record)}`], warnings: [] };
+  }
+
+  const value = {};
+  const errors = [];
+  const warnings = [];
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const raw = record[field];
+
+    if (raw === undefined || raw === null || (spec.required && raw === '')) {
+      if (spec.required) {
+        errors.push(`${field}: missing`);
+      }
+      value[field] = defaultValue(spec);
+      return;
+    }
+
+    const result = FIELD_TYPES[spec.type](raw, spec);
+    if (result.problem) {
+      (spec.required ? errors : warnings).push(`${field}: ${result.problem}`);
+      value[field] = defaultValue(spec);
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value: errors.length > 0 ? null : value, errors, warnings };
+}
+
+// Every post a content source lists (see the PostSummary typedef)
+export const POST_SUMMARY_SCHEMA = {
+  id: { type: 'string', required: true },
+  slug: { type: 'string', required: true },
+  title: { type: 'string' },
+  date: { type: 'date' },
+  modified: { type: 'date' },
+  status: { type: 'enum', values: STATUSES, default: 'draft' }, // A missing or unknown status keeps the post hidden
+  publishAt: { type: 'date' },
+  excerpt: { type: 'string' },
+  categories: { type: 'terms' },
+  tags: { type: 'terms' },
+  source: { type: 'string', required: true },
+};
+
+// Every full post a content source returns from getPost() or getPreview()
+export const POST_SCHEMA = {
+  ...POST_SUMMARY_SCHEMA,
+  contentHtml: { type: 'string' },
+};
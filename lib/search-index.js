@@ -0,0 +1,53 @@
+/**
+ * SEARCH INDEX BUILDER (search-index.js)
+ *
+ * Purpose: This module builds the full-text search index for the /search
+ * page on the server, at build time (and on each ISR regeneration). The
+ * browser only loads the finished index (lib/search.js).
+ *
+ * Indexed per post: title, plain-text content (HTML stripped, see
+ * lib/text.js) and tag names. Only the excerpt is stored for display, so
+ * the page props don't carry every post's full text twice.
+ *
+ * Example Usage (in getStaticProps):
+ * import { buildSearchIndex } from '../lib/search-index';
+ * const searchIndex = buildSearchIndex(await getAllPostsData());
+ */
+
+// Import the search engine and the index layout shared with the browser
+import MiniSearch from 'minisearch';
+import { SEARCH_OPTIONS } from './search.js';
+
+// Import the HTML-to-text converter
+import { htmlToText } from './text.js';
+
+/**
+ * toSearchDocument - Flatten a full post into the fields the index needs
+ *
+ * @param {object} post - Full post from getAllPostsData()
+ * @returns {object} { id, slug, title, date, excerpt, content, tags, tagList }
+ */
+function toSearchDocument(post) {
+  return {
+    id: post.id,
+    slug: post.slug,
+    title: post.title,
+    date: post.date,
+    excerpt: post.excerpt,                             // Shown with each result
+    content: htmlToText(post.contentHtml),             // Searchable text
+    tags: post.tags.map(tag => tag.name).join(' '), // Searchable text
+    tagList: post.tags,                                // Shown with each result
+  };
+}
+
+/**
+ * buildSearchIndex - Index every post and serialize the index
+ *
+ * @param {Array} posts - Full posts from getAllPostsData()
+ * @returns {string} JSON for loadSearchIndex() in lib/search.js
+ */
+export function buildSearchIndex(posts) {
+  const index = new MiniSearch(SEARCH_OPTIONS);
+  index.addAll(posts.map(toSearchDocument));
+  return JSON.stringify(index);
+}
@@ -0,0 +1,93 @@
+/**
+ * POST SEARCH (search.js)
+ *
+ * Purpose: This module searches the post index in the browser for the
+ * /search page. The index itself is built ahead of time from the same
+ * normalized post list the rest of the site uses (lib/search-index.js), so
+ * no external search service is needed. It has no server-only imports.
+ *
+ * Key Features:
+ * - Typo tolerance (fuzzy matching) and search-as-you-type (prefix matching)
+ * - Title and tag matches rank above content matches
+ * - A helper to highlight matched words in titles and excerpts
+ *
+ * Example Usage:
+ * import { loadSearchIndex, searchPosts } from '../lib/search';
+ * const index = loadSearchIndex(props.searchIndex);
+ * searchPosts(index, 'kity'); // [{ id: 'noKitty', slug: 'noKitty', title: ..., terms: ['kitty'], ... }]
+ */
+
+// Import the in-browser full-text search engine
+import MiniSearch from 'minisearch';
+
+// Index layout; the builder and the browser must use the same options
+export const SEARCH_OPTIONS = {
+  fields: ['title', 'content', 'tags'],
+  storeFields: ['id', 'slug', 'title', 'date', 'excerpt', 'tagList'],
+};
+
+// Query options: typo tolerance, prefix matching and field weights
+const QUERY_OPTIONS = {
+  prefix: true,
+  fuzzy: 0.2,
+  boost: { title: 3, tags: 2 },
+  combineWith: 'AND',
+};
+
+/**
+ * loadSearchIndex - Restore a search index serialized at build time
+ *
+ * @param {string} json - Serialized index from buildSearchIndex()
+ * @returns {MiniSearch} The searchable index
+ */
+export function loadSearchIndex(json) {
+  return MiniSearch.loadJSON(json, SEARCH_OPTIONS);
+}
+
+/**
+ * searchPosts - Find the posts matching a query
+ *
+ * @param {MiniSearch} index - Index from loadSearchIndex()
+ * @param {string} query - What the visitor typed
+ * @returns {Array} Matching posts, best first, with their stored fields
+ *                  and the matched index terms (terms)
+ */
+export function searchPosts(index, query) {
+  if (!query || !query.trim()) {
+    return [];
+  }
+  return index.search(query, QUERY_OPTIONS);
+}
+
+/**
+ * escapeRegExp - Escape a string for literal use in a regular expression
+ *
+ * @param {string} value - Text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * highlightSegments - Split text into matched and unmatched pieces
+ *
+ * @param {string} text - Text to highlight
+ * @param {Array<string>} terms - Matched terms from a search result
+ * @returns {Array<object>} Pieces in order as { text, match }
+ */
+export function highlightSegments(text, terms) {
+  if (!text || terms.length === 0) {
+    return [{ text: text || '', match: false }];
+  }
+
+  // Longest terms first, so "kitty" wins over "kit" when both matched
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(${alternatives.join('|')})`, 'gi');
+
+  // split() with a capture group alternates unmatched and matched pieces
+  return text
+    .split(pattern)
+    .map((piece, index) => ({ text: piece, match: index % 2 === 1 }))
+    .filter(segment => segment.text !== '');
+}
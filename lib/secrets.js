@@ -0,0 +1,38 @@
+/**
+ * SHARED SECRET CHECK (secrets.js)
+ *
+ * Purpose: This module compares secrets sent to the API routes (preview,
+ * revalidation webhook) with the configured value in constant time, so the
+ * response time doesn't reveal how much of a guess was right.
+ *
+ * Example Usage:
+ * import { matchesSecret } from './secrets.js';
+ * matchesSecret(req.query.secret, config.previewSecret); // true or false
+ */
+
+// Import Node.js crypto for hashing and the constant-time comparison
+import crypto from 'crypto';
+
+/**
+ * digest - Hash a value so both sides of a comparison have the same length
+ *
+ * @param {string} value - The value to hash
+ * @returns {Buffer} SHA-256 digest
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+/**
+ * matchesSecret - Check a secret sent by a client
+ *
+ * @param {string|undefined} value - The secret the client sent
+ * @param {string} secret - The configured secret; an empty secret never matches
+ * @returns {boolean} True if both are non-empty and equal
+ */
+export function matchesSecret(value, secret) {
+  if (!secret || typeof value !== 'string') {
+    return false;
+  }
+  return crypto.timingSafeEqual(digest(value), digest(secret));
+}
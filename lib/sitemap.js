@@ -0,0 +1,153 @@
+/**
+ * SITEMAP AND ROBOTS.TXT BUILDERS (sitemap.js)
+ *
+ * Purpose: This module lists every public page of the site for search
+ * engines and renders the sitemap.xml and robots.txt documents served by
+ * pages/sitemap.xml.js and pages/robots.txt.js.
+ *
+ * Key Features:
+ * - Covers the home page, numbered index pages, tag/category pages, date
+ *   archive pages and every post
+ * - <lastmod> comes from each post's modified date; listing pages use the
+ *   newest modified date among the posts they show
+ * - Absolute URLs built from SITE_URL (see lib/config.js)
+ *
+ * Adding a new listing page: add its entries in getSitemapEntries() with
+ * listingEntry(path, posts).
+ */
+
+// Import the data layer function that lists every post
+import { getSortedPostsData } from './posts.js';
+
+// Import configuration for the page size used by the index
+import { config } from './config.js';
+
+// Import the helpers that build page URLs
+import { absoluteUrl, postPath } from './urls.js';
+import { countPages, pagePath, paginate } from './pagination.js';
+import { TAXONOMIES, collectTerms, filterPostsByTerm, termPath } from './taxonomy.js';
+import { archivePath, collectArchive, filterPostsByPeriod } from './archive.js';
+
+// Import the shared post date parser
+import { parsePostDate } from './dates.js';
+
+// Import the XML escaping helper
+import { escapeXml } from './xml.js';
+
+// Import the path of the social card images
+import { OG_IMAGE_PATH } from './metadata.js';
+
+// Path the sitemap is served from, referenced by robots.txt
+export const SITEMAP_PATH = '/sitemap.xml';
+
+/**
+ * lastModified - Return the newest modified date among some posts
+ *
+ * @param {Array} posts - Posts with modified (or date) fields
+ * @returns {string|null} ISO-8601 timestamp, or null if no post has a valid date
+ */
+function lastModified(posts) {
+  const timestamps = posts
+    .map(post => parsePostDate(post.modified || post.date))
+    .filter(Boolean)
+    .map(date => date.getTime());
+
+  return timestamps.length > 0 ? new Date(Math.max(...timestamps)).toISOString() : null;
+}
+
+/**
+ * listingEntry - Build the sitemap entry for a page that lists posts
+ *
+ * @param {string} sitePath - Path of the listing page
+ * @param {Array} posts - Posts shown on that page
+ * @returns {object} { path, lastmod }
+ */
+function listingEntry(sitePath, posts) {
+  return { path: sitePath, lastmod: lastModified(posts) };
+}
+
+/**
+ * getSitemapEntries - List every public page with its last modification date
+ *
+ * @returns {Promise<Array>} Entries with path and lastmod (ISO-8601 or null)
+ * @throws {ContentSourceError} If a source fails and the error policy says to throw
+ */
+export async function getSitemapEntries() {
+  const posts = await getSortedPostsData();
+  const entries = [];
+
+  // Home page and numbered index pages (/page/2, /page/3, ...)
+  const totalPages = countPages(posts.length, config.postsPerPage);
+  for (let page = 1; page <= totalPages; page++) {
+    const { items } = paginate(posts, page, config.postsPerPage);
+    entries.push(listingEntry(pagePath(page), items));
+  }
+
+  // Tag and category pages
+  Object.keys(TAXONOMIES).forEach(taxonomy => {
+    collectTerms(posts, taxonomy).forEach(term => {
+      entries.push(listingEntry(termPath(taxonomy, term.slug), filterPostsByTerm(posts, taxonomy, term.slug)));
+    });
+  });
+
+  // Date archive pages: the index, then each year followed by its months
+  entries.push(listingEntry(archivePath(), posts));
+  collectArchive(posts).forEach(({ year, months }) => {
+    entries.push(listingEntry(archivePath(year), filterPostsByPeriod(posts, { year, month: null })));
+    months.forEach(({ month }) => {
+      entries.push(listingEntry(archivePath(year, month), filterPostsByPeriod(posts, { year, month })));
+    });
+  });
+
+  // Every post page
+  posts.forEach(post => {
+    entries.push({ path: postPath(post.slug), lastmod: lastModified([post]) });
+  });
+
+  return entries;
+}
+
+/**
+ * buildSitemap - Render sitemap entries as a sitemaps.org XML document
+ *
+ * @param {Array} entries - Entries from getSitemapEntries()
+ * @returns {string} Sitemap XML
+ */
+export function buildSitemap(entries) {
+  const urls = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(absoluteUrl(entry.path))}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod}</lastmod>` : null,
+    '  </url>',
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * buildRobots - Render robots.txt pointing crawlers at the sitemap
+ *
+ * API routes are excluded because they return data, not pages, except
+ * the social card images (OG_IMAGE_PATH) every page links to as its
+ * og:image. The Allow line comes first for crawlers that use the first
+ * matching rule instead of the most specific one.
+ *
+ * @returns {string} robots.txt contents
+ */
+export function buildRobots() {
+  return [
+    'User-agent: *',
+    'Allow: /',
+    `Allow: ${OG_IMAGE_PATH}`,
+    'Disallow: /api/',
+    '',
+    `Sitemap: ${absoluteUrl(SITEMAP_PATH)}`,
+    '',
+  ].join('\n');
+}
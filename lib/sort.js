@@ -0,0 +1,71 @@
+/**
+ * POST ORDERING (sort.js)
+ *
+ * Purpose: This module sorts post lists in one of the supported orders, so
+ * every list on the site (index, pagination, ...) uses the same rules.
+ *
+ * Orders:
+ * - date-desc - Newest first (default)
+ * - date-asc  - Oldest first
+ * - title     - Alphabetical by title (locale-aware, "Post 2" before "Post 10")
+ *
+ * Posts that compare equal are ordered by id, so the result never depends on
+ * the order the content sources returned them in. Posts with a missing or
+ * invalid date sort as the oldest.
+ */
+
+// Import the shared post date parser
+import { parsePostDate } from './dates.js';
+
+// Every supported order name
+export const POST_ORDERS = ['date-desc', 'date-asc', 'title'];
+
+// Locale-aware collator shared by the title and id comparisons
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * toTimestamp - Convert a post date string to milliseconds since the epoch
+ *
+ * @param {string} dateString - The post date
+ * @returns {number} Timestamp, or -Infinity if the date is missing or invalid
+ */
+function toTimestamp(dateString) {
+  const date = parsePostDate(dateString);
+  return date ? date.getTime() : -Infinity;
+}
+
+/**
+ * compareDates - Compare two posts by date, oldest first
+ *
+ * @param {object} a - First post
+ * @param {object} b - Second post
+ * @returns {number} Negative if a is older, positive if b is older, 0 if equal
+ */
+function compareDates(a, b) {
+  const difference = toTimestamp(a.date) - toTimestamp(b.date);
+  return Number.isNaN(difference) ? 0 : Math.sign(difference); // -Infinity - -Infinity is NaN
+}
+
+// Primary comparison for each order; ties are broken by id in sortPosts()
+const comparators = {
+  'date-desc': (a, b) => compareDates(b, a),
+  'date-asc': (a, b) => compareDates(a, b),
+  title: (a, b) => collator.compare(a.title, b.title),
+};
+
+/**
+ * sortPosts - Return a sorted copy of a post list
+ *
+ * @param {Array} posts - Posts with id, title, and date
+ * @param {string} order - One of POST_ORDERS
+ * @returns {Array} New array in the requested order
+ * @throws {Error} If the order name is not supported
+ */
+export function sortPosts(posts, order) {
+  const compare = comparators[order];
+  if (!compare) {
+    throw new Error(`Unknown post order "${order}". Supported orders: ${POST_ORDERS.join(', ')}`);
+  }
+
+  return [...posts].sort((a, b) => compare(a, b) || collator.compare(a.id, b.id));
+}
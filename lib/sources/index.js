@@ -0,0 +1,42 @@
+/**
+ * CONTENT SOURCE REGISTRY (sources/index.js)
+ *
+ * Purpose: This module maps source names to their adapters and returns the
+ * adapters enabled by the CONTENT_SOURCES setting, in priority order.
+ *
+ * To add a new source, create an adapter in this folder that implements
+ * name, listPosts() and getPost(id), then register it in the table below.
+ * Every listed post needs a slug for its URL (/posts/<slug>), unique across
+ * all sources.
+ */
+
+// Import configuration to know which sources are enabled
+import { config } from '../config.js';
+
+// Import every available content source adapter
+import { wordpressSource } from './wordpress.js';
+import { markdownSource } from './markdown.js';
+
+// Lookup table of every known adapter, keyed by its name
+const availableSources = {
+  [wordpressSource.name]: wordpressSource,
+  [markdownSource.name]: markdownSource,
+};
+
+/**
+ * getContentSources - Return the enabled content source adapters
+ *
+ * @returns {Array<object>} Adapters in the order listed in config.contentSources
+ * @throws {Error} If a configured source name has no matching adapter
+ */
+export function getContentSources() {
+  return config.contentSources.map(name => {
+    const source = availableSources[name];
+    if (!source) {
+      throw new Error(
+        `Unknown content source "${name}". Available sources: ${Object.keys(availableSources).join(', ')}`
+      );
+    }
+    return source;
+  });
+}
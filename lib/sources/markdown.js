@@ -0,0 +1,184 @@
+/**
+ * LOCAL MARKDOWN CONTENT SOURCE (sources/markdown.js)
+ *
+ * Purpose: This content source adapter reads blog posts from the markdown
+ * files in the /posts folder, so drafts can be written and reviewed in git
+ * without touching WordPress.
+ *
+ * Key Features:
+ * - Reads every *.md file under /posts (the file name becomes the post id and slug)
+ * - Parses the front matter (title, date, updated, excerpt, tags, categories,
+ *   draft, unpublished, publishAt) with gray-matter
+ * - Converts the markdown body to HTML (GFM, highlighting, heading anchors; see lib/markdown.js)
+ * - Tags every post with source: 'markdown'
+ *
+ * Example file (posts/noKitty.md):
+ * ---
+ * title: 'No Kitty that''s my pot pie'
+ * date: '2020-01-03'
+ * tags: ['South Park']
+ * ---
+ * This is a **kinda** funny South Park Video
+ *
+ * Status fields (all optional, see lib/status.js):
+ * - draft: true        - Work in progress, never published
+ * - unpublished: true  - Retired post, kept in the repository
+ * - publishAt: '2026-01-01T09:00:00Z' - Hidden until this time (defaults to date)
+ */
+
+// Import Node.js file system and path modules for reading the markdown files
+import fs from 'fs';
+import path from 'path';
+
+// Import gray-matter for parsing the front matter at the top of each file
+import matter from 'gray-matter';
+
+// Import the helper that normalizes categories and tags
+import { normalizeTerms } from '../taxonomy.js';
+
+// Import the markdown-to-HTML pipeline
+import { renderMarkdown } from '../markdown.js';
+
+// Folder holding the markdown posts, relative to the project root
+const postsDirectory = path.join(process.cwd(), 'posts');
+
+// Name recorded on every post that comes from this adapter
+const SOURCE_NAME = 'markdown';
+
+/**
+ * readPostFiles - List the markdown files in the posts folder
+ *
+ * @returns {Array<string>} File names ending in .md (empty if the folder is missing)
+ */
+function readPostFiles() {
+  if (!fs.existsSync(postsDirectory)) {
+    return [];
+  }
+
+  return fs.readdirSync(postsDirectory).filter(fileName => fileName.endsWith('.md'));
+}
+
+/**
+ * readPostFile - Read and parse one markdown post
+ *
+ * @param {string} fileName - File name inside the posts folder (e.g. "noKitty.md")
+ * @returns {object} Parsed post with id, front matter data and markdown body
+ */
+function readPostFile(fileName) {
+  // Remove ".md" from file name to get id
+  const id = fileName.replace(/\.md$/, '');
+
+  // Read markdown file as string and parse the front matter section
+  const fileContents = fs.readFileSync(path.join(postsDirectory, fileName), 'utf8');
+  const { data, content } = matter(fileContents);
+
+  return { id, data, content };
+}
+
+/**
+ * formatFrontMatterDate - Normalize a front matter date to a string
+ *
+ * Quoted dates ('2020-01-06') arrive as strings, but YAML turns unquoted
+ * dates (2020-01-06) into Date objects, which can't be passed as page props.
+ *
+ * @param {string|Date|undefined} value - The front matter date value
+ * @returns {string} Date string, or '' when the post has no date
+ */
+function formatFrontMatterDate(value) {
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  return value ? String(value) : '';
+}
+
+/**
+ * formatFrontMatterTime - Normalize a front matter timestamp to a string
+ *
+ * Like formatFrontMatterDate(), but keeps the time of day.
+ *
+ * @param {string|Date|undefined} value - The front matter value
+ * @returns {string} ISO-8601 string, or '' when the field is missing
+ */
+function formatFrontMatterTime(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value ? String(value) : '';
+}
+
+/**
+ * markdownStatus - Read a post's status from its front matter flags
+ *
+ * @param {object} data - Parsed front matter
+ * @returns {string} "unpublished", "draft" or "published"
+ */
+function markdownStatus(data) {
+  if (data.unpublished === true) {
+    return 'unpublished';
+  }
+  return data.draft === true ? 'draft' : 'published';
+}
+
+/**
+ * toSummary - Build the list entry for a parsed markdown post
+ *
+ * Tags and categories may be written as a YAML list or a comma-separated string.
+ * The optional `updated:` field records the last edit; without it the post
+ * date is used. The optional `excerpt:` field replaces the excerpt that is
+ * otherwise cut from the start of the post.
+ *
+ * @param {object} parsed - Result of readPostFile()
+ * @returns {object} Post with id, slug, title, date, modified, status, publishAt,
+ *                   excerpt, categories, tags and source
+ */
+function toSummary({ id, data }) {
+  return {
+    id,
+    slug: id,
+    title: data.title || id,
+    date: formatFrontMatterDate(data.date),
+    modified: formatFrontMatterDate(data.updated || data.date),
+    status: markdownStatus(data),
+    publishAt: formatFrontMatterTime(data.publishAt || data.date),
+    excerpt: data.excerpt ? String(data.excerpt) : '',
+    categories: normalizeTerms(data.categories),
+    tags: normalizeTerms(data.tags),
+    source: SOURCE_NAME,
+  };
+}
+
+/**
+ * listPosts - Return every markdown post without its content
+ *
+ * @returns {Promise<Array>} Array of post summaries (see toSummary())
+ */
+async function listPosts() {
+  return readPostFiles().map(fileName => toSummary(readPostFile(fileName)));
+}
+
+/**
+ * getPost - Return a single markdown post including its rendered HTML
+ *
+ * @param {string} id - The post id (file name without ".md")
+ * @returns {Promise<object|null>} The post, or null if no file has that name
+ */
+async function getPost(id) {
+  const fileName = readPostFiles().find(name => name === `${id}.md`);
+  if (!fileName) {
+    return null;
+  }
+
+  const parsed = readPostFile(fileName);
+
+  return {
+    ...toSummary(parsed),
+    contentHtml: await renderMarkdown(parsed.content),
+  };
+}
+
+// Markdown adapter object implementing the content source interface
+export const markdownSource = {
+  name: SOURCE_NAME,
+  listPosts,
+  getPost,
+};
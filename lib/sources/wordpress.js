@@ -0,0 +1,471 @@
+/**
+ * WORDPRESS CONTENT SOURCE (sources/wordpress.js)
+ *
+ * Purpose: This content source adapter reads blog posts from a WordPress
+ * REST API and converts them into the normalized post shape used by
+ * lib/posts.js. Every page of the feed is read, so older posts don't
+ * silently vanish from the index.
+ *
+ * Key Features:
+ * - Fetches the post feed through the shared cache (lib/fetch-cache.js), so
+ *   listing posts and loading each post page reuse one download
+ * - Walks every page of the feed until it is exhausted
+ * - Supports the twentytwentyone-child custom endpoint and the standard
+ *   /wp-json/wp/v2/posts route (paged with the X-WP-TotalPages header)
+ * - Validates every response against a declared schema (WORDPRESS_POST_SCHEMA,
+ *   see lib/schema.js): a page that isn't a list of posts fails the source,
+ *   malformed posts are skipped and logged, and field types are coerced
+ * - Converts WordPress field names (ID, post_title, ...) to our own (id, title, ...)
+ * - Uses the WordPress permalink slug (post_name) as the post's URL slug
+ * - Reads dates in UTC (post_date_gmt, post_modified_gmt), so they are shown
+ *   correctly in any site time zone (lib/dates.js)
+ * - Reads categories and tags from WordPress terms (embedded wp:term data on
+ *   the standard route, "categories"/"tags" arrays on the custom endpoint)
+ * - Reports each post's status from WordPress post_status (lib/status.js)
+ * - Tags every post with source: 'wordpress'
+ * - Reads unpublished drafts and their latest autosave for preview mode,
+ *   authenticated with an application password and never cached
+ *
+ * Settings (see lib/config.js): WORDPRESS_URL, WORDPRESS_API, WORDPRESS_ROUTE,
+ * WORDPRESS_PAGE_SIZE, WORDPRESS_MAX_PAGES, WORDPRESS_PREVIEW_USER,
+ * WORDPRESS_PREVIEW_PASSWORD
+ *
+ * Default Endpoint: https://dev-cs-55-week-11.pantheonsite.io/wp-json/twentytwentyone-child/v1/latest-posts/{page}
+ *
+ * Adapter Interface (shared by every content source):
+ * - name: Unique source name recorded on each post
+ * - listPosts() - Returns every post with id, slug, title, date, modified, excerpt, categories, tags and source
+ *   (the PostSummary shape in lib/schema.js)
+ * - getPost(id) - Returns one post including contentHtml (the Post shape), or null if it doesn't exist
+ * - getPreview(id) - Optional. Returns the latest unpublished version of a
+ *   post (drafts included) for preview mode, or null if it doesn't exist
+ */
+
+// Import the cached fetch layer shared by every network content source
+import { fetchJsonResponse, fetchJsonUncached } from '../fetch-cache.js';
+
+// Import configuration for the endpoint and page size
+import { config } from '../config.js';
+
+// Import the helper that normalizes categories and tags
+import { normalizeTerms } from '../taxonomy.js';
+
+// Import the translation of WordPress post_status values
+import { fromWordPressStatus } from '../status.js';
+
+// Import the shared date parser
+import { parsePostDate } from '../dates.js';
+
+// Import the runtime schema checker
+import { validateRecord } from '../schema.js';
+
+// Import the error thrown for unreadable responses
+import { InvalidResponseError } from '../errors.js';
+
+// Import the structured logger
+import { logger } from '../logger.js';
+
+// Name recorded on every post that comes from this adapter
+const SOURCE_NAME = 'wordpress';
+
+// Declared shape of one post in the custom endpoint's response (wp/v2 posts
+// are converted to it first, see fromWpV2()); only ID is required
+export const WORDPRESS_POST_SCHEMA = {
+  ID: { type: 'integer', required: true },
+  post_name: { type: 'string' },
+  post_title: { type: 'string' },
+  post_date: { type: 'date' },
+  post_date_gmt: { type: 'date' },
+  post_modified: { type: 'date' },
+  post_modified_gmt: { type: 'date' },
+  post_status: { type: 'string' },
+  post_excerpt: { type: 'string' },
+  post_content: { type: 'string' },
+  categories: { type: 'terms' },
+  tags: { type: 'terms' },
+};
+
+// Validated posts per feed page, keyed by the cached response body, so each
+// download is checked (and its problems logged) only once
+const validatedPages = new WeakMap();
+
+/**
+ * pageUrl - Build the URL of one page of the feed
+ *
+ * "{page}" in the configured route is replaced with the page number; the
+ * page size (and, for the standard route, the page number and a request
+ * to embed each post's terms) are sent as query parameters.
+ *
+ * @param {number} page - Page number, starting at 1
+ * @returns {string} Absolute URL of the page
+ */
+function pageUrl(page) {
+  const url = new URL(`${config.wordpressUrl}${config.wordpressRoute.replace('{page}', page)}`);
+  url.searchParams.set('per_page', config.wordpressPageSize);
+  if (config.wordpressApi === 'wp-v2') {
+    url.searchParams.set('page', page);
+    url.searchParams.set('_embed', 'wp:term');
+  }
+  return url.toString();
+}
+
+/**
+ * fromWpV2 - Convert a post from the standard wp/v2 route to the custom endpoint shape
+ *
+ * The standard route nests rendered fields ({ title: { rendered } }) and uses
+ * lower-case names, while the rest of this adapter expects the flat
+ * WP_Post fields returned by the custom endpoint.
+ *
+ * @param {object} item - Post object from /wp-json/wp/v2/posts
+ * @returns {object} Post object with ID, post_name, post_title, post_date(_gmt),
+ *                   post_modified(_gmt), post_excerpt, post_content, categories and tags
+ */
+function fromWpV2(item) {
+  // Embedded terms arrive as one array per taxonomy: [[categories...], [tags...]]
+  const terms = ((item._embedded && item._embedded['wp:term']) || []).flat();
+
+  return {
+    ID: item.id,
+    post_name: item.slug || '',
+    post_title: item.title ? item.title.rendered : '',
+    post_date: item.date || '',
+    post_date_gmt: item.date_gmt || '',
+    post_modified: item.modified || '',
+    post_modified_gmt: item.modified_gmt || '',
+    post_status: item.status || '',
+    // Only the edit context has the hand-written excerpt; "rendered" is generated from the content
+    post_excerpt: item.excerpt && item.excerpt.raw ? item.excerpt.raw : '',
+    post_content: item.content ? item.content.rendered : '',
+    categories: terms.filter(term => term.taxonomy === 'category'),
+    tags: terms.filter(term => term.taxonomy === 'post_tag'),
+  };
+}
+
+/**
+ * validateItems - Check every post on a feed page against WORDPRESS_POST_SCHEMA
+ *
+ * Malformed posts (no usable ID, or not an object at all) are left out and
+ * logged with their position on the page; fields that had to fall back to
+ * a default are logged too, but the post is kept.
+ *
+ * @param {Array} items - Posts in the custom endpoint shape
+ * @param {string} url - URL of the page, for the log
+ * @returns {Array<object>} The valid posts, with coerced fields
+ */
+function validateItems(items, url) {
+  return items.flatMap((item, index) => {
+    const { value, errors, warnings } = validateRecord(item, WORDPRESS_POST_SCHEMA);
+
+    if (!value) {
+      logger.error('content.invalid_item', { source: SOURCE_NAME, url, index, errors });
+      return [];
+    }
+    if (warnings.length > 0) {
+      logger.warn('content.item_repaired', { source: SOURCE_NAME, url, index, id: value.ID, warnings });
+    }
+    return [value];
+  });
+}
+
+/**
+ * readFeedPage - Validate one page of the feed
+ *
+ * @param {*} data - Parsed response body
+ * @param {string} url - URL of the page
+ * @returns {Array<object>} The valid posts on the page, in the custom endpoint shape
+ * @throws {InvalidResponseError} If the body isn't a list of posts
+ */
+function readFeedPage(data, url) {
+  if (!Array.isArray(data)) {
+    const got = data === null ? 'null' : typeof data;
+    throw new InvalidResponseError(`WordPress feed page ${url} is not a list of posts (got ${got})`, {
+      url,
+      problems: [`expected a list of posts, got ${got}`],
+    });
+  }
+
+  if (!validatedPages.has(data)) {
+    const items = config.wordpressApi === 'wp-v2'
+      ? data.map(item => (item && typeof item === 'object' ? fromWpV2(item) : item))
+      : data;
+    validatedPages.set(data, validateItems(items, url));
+  }
+  return validatedPages.get(data);
+}
+
+/**
+ * fetchWpV2Feed - Read every page of the standard /wp-json/wp/v2/posts route
+ *
+ * The first response's X-WP-TotalPages header says how many pages exist;
+ * the remaining pages are then requested in parallel.
+ *
+ * @returns {Promise<Array>} Posts from every page, in feed order
+ */
+async function fetchWpV2Feed() {
+  const first = await fetchJsonResponse(pageUrl(1));
+  const totalPages = Math.min(
+    Number(first.headers['x-wp-totalpages']) || 1,
+    config.wordpressMaxPages
+  );
+
+  const pageNumbers = [];
+  for (let page = 2; page <= totalPages; page++) {
+    pageNumbers.push(page);
+  }
+  const rest = await Promise.all(pageNumbers.map(page => fetchJsonResponse(pageUrl(page))));
+
+  return [first, ...rest].flatMap((response, index) => readFeedPage(response.data, pageUrl(index + 1)));
+}
+
+/**
+ * isPastLastPage - Check whether a request failed because the page doesn't exist
+ *
+ * @param {Error} error - Error thrown by the fetch layer
+ * @returns {boolean} True for "400 Bad Request" or "404 Not Found" responses
+ */
+function isPastLastPage(error) {
+  const statusCode = error.response && error.response.statusCode;
+  return statusCode === 400 || statusCode === 404;
+}
+
+/**
+ * fetchCustomFeed - Read every page of the twentytwentyone-child endpoint
+ *
+ * The custom endpoint doesn't report a page count, so pages are read one
+ * at a time until one comes back empty, shorter than the first page, only
+ * repeating posts already seen (the route ignores the page number), or
+ * answered with a 400/404 error. The endpoint may ignore the requested page
+ * size, so only the first page's length tells a short page. A page whose
+ * posts are all malformed doesn't end the feed.
+ *
+ * @returns {Promise<Array>} Posts from every page, in feed order
+ */
+async function fetchCustomFeed() {
+  const posts = [];
+  const seenIds = new Set();
+  const pagesAvailable = config.wordpressRoute.includes('{page}') ? config.wordpressMaxPages : 1;
+  let firstPageLength = 0;
+
+  for (let page = 1; page <= pagesAvailable; page++) {
+    const url = pageUrl(page);
+    let data;
+    try {
+      ({ data } = await fetchJsonResponse(url));
+    } catch (error) {
+      if (page > 1 && isPastLastPage(error)) {
+        break;
+      }
+      throw error;
+    }
+
+    const items = readFeedPage(data, url);
+    const newPosts = items.filter(item => !seenIds.has(String(item.ID)));
+    if (data.length === 0 || (items.length > 0 && newPosts.length === 0)) {
+      break;
+    }
+
+    newPosts.forEach(item => seenIds.add(String(item.ID)));
+    posts.push(...newPosts);
+
+    if (page === 1) {
+      firstPageLength = data.length;
+    } else if (data.length < firstPageLength) {
+      break; // A short page is the last one
+    }
+  }
+
+  return posts;
+}
+
+/**
+ * fetchFeed - Return every post in the WordPress feed
+ *
+ * Each page is downloaded at most once per cache TTL; every other call is
+ * answered from the in-memory or on-disk cache.
+ *
+ * @returns {Promise<Array>} Validated WordPress post objects (custom endpoint shape)
+ * @throws {Error} If a request fails or a body is not valid JSON
+ * @throws {InvalidResponseError} If a page isn't a list of posts
+ */
+function fetchFeed() {
+  return config.wordpressApi === 'wp-v2' ? fetchWpV2Feed() : fetchCustomFeed();
+}
+
+/**
+ * postSlug - Read the URL slug of a raw WordPress post
+ *
+ * WordPress stores non-ASCII slugs percent-encoded ("caf%c3%a9"); they are
+ * decoded here because postPath() encodes them again. Drafts have no
+ * post_name until they are published, so the numeric id stands in.
+ *
+ * @param {object} item - Raw WordPress post object
+ * @returns {string} The decoded slug, or the post ID if WordPress has none
+ */
+function postSlug(item) {
+  const name = item.post_name || '';
+  try {
+    return decodeURIComponent(name) || item.ID.toString();
+  } catch {
+    // Malformed percent-encoding: use the slug as WordPress sent it
+    return name;
+  }
+}
+
+/**
+ * postDate - Read a WordPress date as an exact moment in time
+ *
+ * The *_gmt fields are UTC; the plain fields are in the WordPress site's
+ * own time zone, with no offset attached. Drafts that were never scheduled
+ * have no GMT date ("0000-00-00 00:00:00"), so the local one stands in and
+ * is shown as written.
+ *
+ * @param {string} gmt - UTC date such as "2025-11-05 14:19:03"
+ * @param {string} local - Site-time date such as "2025-11-05 09:19:03"
+ * @returns {string} UTC ISO-8601 timestamp, the local date if only it is valid, or ''
+ */
+function postDate(gmt, local) {
+  const utc = gmt ? parsePostDate(`${gmt}Z`) : null;
+  if (utc) {
+    return utc.toISOString();
+  }
+  return parsePostDate(local) ? local : '';
+}
+
+/**
+ * toPost - Convert a raw WordPress post into the normalized post shape
+ *
+ * WordPress API Returns:
+ * - ID: Post ID number
+ * - post_name: Permalink slug (empty for drafts)
+ * - post_title: Post title string
+ * - post_date: Publication date in format "YYYY-MM-DD HH:MM:SS" (site time)
+ * - post_date_gmt: The same date in UTC
+ * - post_modified, post_modified_gmt: Last edit date, same formats
+ * - post_excerpt: Hand-written excerpt, or empty
+ * - post_content: Full HTML content
+ * - categories, tags: WordPress term objects (or names), when included
+ *
+ * @param {object} item - WordPress post object, validated against WORDPRESS_POST_SCHEMA
+ * @returns {import('../schema.js').Post} Post with id, slug, title, date, modified, excerpt,
+ *                                        categories, tags, contentHtml and source
+ */
+function toPost(item) {
+  const date = postDate(item.post_date_gmt, item.post_date);
+
+  return {
+    id: item.ID.toString(),              // Convert numeric ID to string
+    slug: postSlug(item),                // URL slug (e.g. "test-wp")
+    title: item.post_title || '',        // WordPress post title
+    date,                                // UTC post date (format: "2025-11-05T14:19:03.000Z")
+    modified: postDate(item.post_modified_gmt, item.post_modified) || date, // Last edit, or the post date if never edited
+    status: fromWordPressStatus(item.post_status), // "published", "scheduled", "draft" or "unpublished"
+    publishAt: date,                     // Future-dated posts stay hidden until this time
+    categories: normalizeTerms(item.categories), // [{ name, slug }]
+    tags: normalizeTerms(item.tags),             // [{ name, slug }]
+    excerpt: item.post_excerpt || '',    // Hand-written excerpt; lib/posts.js falls back to the content
+    contentHtml: item.post_content || '', // Full HTML content
+    source: SOURCE_NAME,
+  };
+}
+
+/**
+ * listPosts - Return every WordPress post without its content
+ *
+ * @returns {Promise<Array<import('../schema.js').PostSummary>>} Posts with id, slug, title, date,
+ *                                                             modified, excerpt, categories, tags and source
+ */
+async function listPosts() {
+  const feed = await fetchFeed();
+
+  return feed.map(item => {
+    const { contentHtml, ...summary } = toPost(item);
+    return summary;
+  });
+}
+
+/**
+ * getPost - Return a single WordPress post including its HTML content
+ *
+ * The feed is cached, so filtering it is cheaper than a separate single-post request.
+ *
+ * @param {string} id - The post ID to look up
+ * @returns {Promise<import('../schema.js').Post|null>} The post, or null if no post has that ID
+ */
+async function getPost(id) {
+  const feed = await fetchFeed();
+  const match = feed.find(item => item.ID.toString() === id);
+
+  return match ? toPost(match) : null;
+}
+
+/**
+ * previewHeaders - Build the authorization header for preview requests
+ *
+ * @returns {object} Request headers with HTTP Basic credentials
+ * @throws {Error} If the preview user or application password isn't configured
+ */
+function previewHeaders() {
+  const { wordpressPreviewUser, wordpressPreviewPassword } = config;
+  if (!wordpressPreviewUser || !wordpressPreviewPassword) {
+    throw new Error('WordPress preview needs WORDPRESS_PREVIEW_USER and WORDPRESS_PREVIEW_PASSWORD');
+  }
+
+  const credentials = Buffer.from(`${wordpressPreviewUser}:${wordpressPreviewPassword}`).toString('base64');
+  return { authorization: `Basic ${credentials}` };
+}
+
+/**
+ * getPreview - Return the latest version of a post, published or not
+ *
+ * Reads the post from the standard /wp/v2 route with edit context, which
+ * includes drafts. If the post has an autosave newer than the post itself
+ * (unsaved edits to a published post), its title and content are used,
+ * just like WordPress's own "Preview" button.
+ *
+ * @param {string} id - The WordPress post ID
+ * @returns {Promise<import('../schema.js').Post|null>} The post, or null if WordPress doesn't have it
+ * @throws {Error} If preview credentials are missing or the request fails
+ * @throws {InvalidResponseError} If WordPress answers with a malformed post
+ */
+async function getPreview(id) {
+  // WordPress post ids are numeric; anything else belongs to another source
+  if (!/^\d+$/.test(id)) {
+    return null;
+  }
+
+  const headers = previewHeaders();
+  const postUrl = `${config.wordpressUrl}/wp-json/wp/v2/posts/${id}`;
+
+  let item;
+  try {
+    ({ data: item } = await fetchJsonUncached(`${postUrl}?context=edit&_embed=wp:term`, { headers }));
+  } catch (error) {
+    if (isPastLastPage(error)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const { data: autosaves } = await fetchJsonUncached(`${postUrl}/autosaves?context=edit`, { headers });
+  const autosave = Array.isArray(autosaves)
+    ? autosaves.find(revision => revision && revision.modified > item.modified)
+    : undefined;
+
+  const latest = autosave ? { ...item, title: autosave.title, content: autosave.content } : item;
+  const { value, errors } = validateRecord(latest && fromWpV2(latest), WORDPRESS_POST_SCHEMA);
+  if (!value) {
+    throw new InvalidResponseError(`WordPress post ${id} is malformed: ${errors.join('; ')}`, {
+      url: postUrl,
+      problems: errors,
+    });
+  }
+  return toPost(value);
+}
+
+// WordPress adapter object implementing the content source interface
+export const wordpressSource = {
+  name: SOURCE_NAME,
+  listPosts,
+  getPost,
+  getPreview,
+};
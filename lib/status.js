@@ -0,0 +1,91 @@
+/**
+ * POST STATUS RULES (status.js)
+ *
+ * Purpose: This module decides whether a post may be shown. Content sources
+ * only report what the author wrote (draft flags, WordPress post_status,
+ * a publish time); the rules for what that means live here, so every
+ * source is treated the same way.
+ *
+ * Statuses:
+ * - published   - Visible everywhere
+ * - scheduled   - Has a publishAt time in the future; hidden until then
+ * - draft       - Work in progress (draft: true, WordPress draft/pending)
+ * - unpublished - Retired or private (unpublished: true, WordPress private/trash)
+ *
+ * Hidden posts are only shown when SHOW_DRAFTS is set during `next dev`
+ * (config.showDrafts); production builds never include them.
+ *
+ * Example Usage:
+ * import { postStatus, isVisible } from './status.js';
+ * postStatus({ status: 'published', publishAt: '2099-01-01' }); // 'scheduled'
+ */
+
+// Import the shared date parser
+import { parsePostDate } from './dates.js';
+
+// Import configuration for the draft preview flag
+import { config } from './config.js';
+
+// Every status a post can have
+export const STATUSES = ['published', 'scheduled', 'draft', 'unpublished'];
+
+// WordPress post_status values, mapped to our statuses
+const WORDPRESS_STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'draft',
+  'auto-draft': 'draft',
+  private: 'unpublished',
+  trash: 'unpublished',
+};
+
+/**
+ * fromWordPressStatus - Translate a WordPress post_status value
+ *
+ * The custom latest-posts route doesn't send post_status, so a missing
+ * value means the post is published.
+ *
+ * @param {string|undefined} postStatus - WordPress post_status (e.g. "publish", "draft")
+ * @returns {string} One of our statuses; unknown values count as drafts
+ */
+export function fromWordPressStatus(postStatus) {
+  if (!postStatus) {
+    return 'published';
+  }
+  return WORDPRESS_STATUSES[postStatus] || 'draft';
+}
+
+/**
+ * postStatus - Work out a post's status at a given time
+ *
+ * A post the source reports as published (or scheduled) counts as
+ * scheduled while its publishAt time is still in the future.
+ *
+ * @param {object} post - Post with status and publishAt fields from its source
+ * @param {Date} [now=new Date()] - The time to check against
+ * @returns {string} "published", "scheduled", "draft" or "unpublished"
+ */
+export function postStatus(post, now = new Date()) {
+  const status = post.status || 'published';
+  if (status !== 'published' && status !== 'scheduled') {
+    return status;
+  }
+
+  const publishAt = parsePostDate(post.publishAt);
+  if (publishAt && publishAt > now) {
+    return 'scheduled';
+  }
+  return status === 'scheduled' && !publishAt ? 'scheduled' : 'published';
+}
+
+/**
+ * isVisible - Check whether a post may be listed and rendered
+ *
+ * @param {object} post - Post with status and publishAt fields from its source
+ * @param {Date} [now=new Date()] - The time to check against
+ * @returns {boolean} True for published posts, or for every post when drafts are shown
+ */
+export function isVisible(post, now = new Date()) {
+  return config.showDrafts || postStatus(post, now) === 'published';
+}
@@ -0,0 +1,117 @@
+/**
+ * TAXONOMY HELPERS (taxonomy.js)
+ *
+ * Purpose: This module normalizes categories and tags coming from the content
+ * sources (WordPress terms, markdown front matter) into one shape, and builds
+ * the URLs of the tag and category listing pages. It has no server-only
+ * imports, so components can use termPath() in the browser too.
+ *
+ * Term shape on every post:
+ * post.tags       = [{ name: 'South Park', slug: 'south-park' }]
+ * post.categories = [{ name: 'Videos', slug: 'videos' }]
+ *
+ * Listing pages:
+ * - /tags/<slug>        (pages/tags/[tag].js)
+ * - /categories/<slug>  (pages/categories/[slug].js)
+ */
+
+// Supported taxonomies: the post field that holds the terms, and the URL prefix of their pages
+export const TAXONOMIES = {
+  tags: { label: 'Tag', basePath: '/tags' },
+  categories: { label: 'Category', basePath: '/categories' },
+};
+
+/**
+ * slugify - Turn a term name into a URL-safe slug
+ *
+ * "South Park" → "south-park", "Café Crème" → "cafe-creme"
+ *
+ * @param {string} name - The term name
+ * @returns {string} Lower-case slug made of letters, digits and dashes
+ */
+export function slugify(name) {
+  return String(name)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Drop accents left over after NFKD
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * normalizeTerms - Convert raw terms into a de-duplicated [{ name, slug }] list
+ *
+ * Accepts any of the shapes the sources produce:
+ * - A comma-separated string:         "South Park, Shorts"
+ * - An array of names:                ['South Park', 'Shorts']
+ * - An array of WordPress term objects: [{ name: 'South Park', slug: 'south-park', ... }]
+ *
+ * @param {string|Array|undefined} value - Raw terms from a source
+ * @returns {Array<object>} Terms with name and slug, first occurrence of each slug kept
+ */
+export function normalizeTerms(value) {
+  if (!value) {
+    return [];
+  }
+
+  const rawTerms = typeof value === 'string' ? value.split(',') : [].concat(value);
+  const termsBySlug = new Map();
+
+  rawTerms.forEach(raw => {
+    const name = String(raw && typeof raw === 'object' ? raw.name || '' : raw).trim();
+    if (!name) {
+      return;
+    }
+
+    const slug = raw && typeof raw === 'object' && raw.slug ? String(raw.slug) : slugify(name);
+    if (slug && !termsBySlug.has(slug)) {
+      termsBySlug.set(slug, { name, slug });
+    }
+  });
+
+  return Array.from(termsBySlug.values());
+}
+
+/**
+ * collectTerms - List every term used by a set of posts, with post counts
+ *
+ * @param {Array} posts - Posts with tags and categories
+ * @param {string} taxonomy - "tags" or "categories"
+ * @returns {Array<object>} Terms with name, slug and count, sorted by name
+ */
+export function collectTerms(posts, taxonomy) {
+  const termsBySlug = new Map();
+
+  posts.forEach(post => {
+    (post[taxonomy] || []).forEach(term => {
+      const entry = termsBySlug.get(term.slug) || { ...term, count: 0 };
+      entry.count += 1;
+      termsBySlug.set(term.slug, entry);
+    });
+  });
+
+  return Array.from(termsBySlug.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * filterPostsByTerm - Keep only the posts that have a given term
+ *
+ * @param {Array} posts - Posts with tags and categories
+ * @param {string} taxonomy - "tags" or "categories"
+ * @param {string} slug - The term slug to match
+ * @returns {Array} Matching posts, in their original order
+ */
+export function filterPostsByTerm(posts, taxonomy, slug) {
+  return posts.filter(post => (post[taxonomy] || []).some(term => term.slug === slug));
+}
+
+/**
+ * termPath - Return the URL of a term's listing page
+ *
+ * @param {string} taxonomy - "tags" or "categories"
+ * @param {string} slug - The term slug
+ * @returns {string} URL such as "/tags/south-park"
+ */
+export function termPath(taxonomy, slug) {
+  return `${TAXONOMIES[taxonomy].basePath}/${encodeURIComponent(slug)}`;
+}
@@ -0,0 +1,85 @@
+/**
+ * PLAIN TEXT EXTRACTION (text.js)
+ *
+ * Purpose: This module turns post HTML into plain text for places that
+ * can't show markup, such as the search index and meta descriptions.
+ *
+ * Key Features:
+ * - Parses the HTML properly instead of stripping tags with a regex, so
+ *   entities are decoded ("&amp;" -> "&") and attribute values never leak in
+ * - Block elements and line breaks become spaces, so words don't run together
+ * - Skips text that is never shown (<script>, <style>, <template>)
+ *
+ * Example Usage:
+ * import { htmlToText } from './text.js';
+ * htmlToText('<p>Tom &amp; Jerry</p><p>Again</p>'); // 'Tom & Jerry Again'
+ * truncateText('Tom & Jerry Again', 12);             // 'Tom & Jerry…'
+ */
+
+// Import unified with the HTML parser plugin
+import { unified } from 'unified';
+import rehypeParse from 'rehype-parse';
+
+// HTML fragment parser
+const processor = unified().use(rehypeParse, { fragment: true });
+
+// Elements whose text is never displayed
+const HIDDEN_ELEMENTS = new Set(['script', 'style', 'template', 'noscript']);
+
+// Elements that sit inside a line of text, so no space is added around them
+const INLINE_ELEMENTS = new Set([
+  'a', 'abbr', 'b', 'cite', 'code', 'del', 'em', 'i', 'ins', 'kbd', 'mark',
+  'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u',
+]);
+
+/**
+ * collectText - Append the visible text under a hast node to a list
+ *
+ * @param {object} node - A hast node
+ * @param {Array<string>} parts - Text pieces collected so far (modified in place)
+ */
+function collectText(node, parts) {
+  if (node.type === 'text') {
+    parts.push(node.value);
+    return;
+  }
+  if (node.type === 'element' && HIDDEN_ELEMENTS.has(node.tagName)) {
+    return;
+  }
+
+  (node.children || []).forEach(child => collectText(child, parts));
+
+  // Separate the text of neighboring blocks ("<p>a</p><p>b</p>" -> "a b")
+  if (node.type === 'element' && !INLINE_ELEMENTS.has(node.tagName)) {
+    parts.push(' ');
+  }
+}
+
+/**
+ * htmlToText - Convert an HTML fragment to plain text
+ *
+ * @param {string} html - The HTML to convert
+ * @returns {string} The visible text, with runs of whitespace collapsed to single spaces
+ */
+export function htmlToText(html) {
+  const parts = [];
+  collectText(processor.parse(html || ''), parts);
+  return parts.join('').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * truncateText - Shorten text to a length limit without cutting a word in half
+ *
+ * @param {string} text - Plain text
+ * @param {number} maxLength - Maximum length in characters, including the "…"
+ * @returns {string} The text, or its start followed by "…" if it was too long
+ */
+export function truncateText(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+}
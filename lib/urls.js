@@ -0,0 +1,46 @@
+/**
+ * SITE URL HELPERS (urls.js)
+ *
+ * Purpose: This module builds the URLs of post pages, and turns site paths
+ * into absolute URLs for places that need them (feeds, sitemaps, metadata).
+ *
+ * Example Usage:
+ * postPath('test-wp');              // "/posts/test-wp"
+ * absoluteUrl(postPath('test-wp')); // "https://example.com/posts/test-wp"
+ */
+
+// Import configuration for the public site URL
+import { config } from './config.js';
+
+/**
+ * postPath - Return the URL path of a post page
+ *
+ * @param {string} slug - The post slug (post.slug)
+ * @returns {string} Path such as "/posts/test-wp"
+ */
+export function postPath(slug) {
+  return `/posts/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * absoluteUrl - Prefix a site path with the public site URL (SITE_URL)
+ *
+ * @param {string} sitePath - Path starting with "/"
+ * @returns {string} Absolute URL such as "https://example.com/posts/test-wp"
+ */
+export function absoluteUrl(sitePath) {
+  return `${config.siteUrl}${sitePath}`;
+}
+
+/**
+ * absolutizeHtmlUrls - Make root-relative links and images in HTML absolute
+ *
+ * Feed readers show post content outside this site, where "/images/x.jpg"
+ * would point at the wrong host.
+ *
+ * @param {string} html - Post HTML content
+ * @returns {string} HTML whose href="/..." and src="/..." attributes are absolute
+ */
+export function absolutizeHtmlUrls(html) {
+  return html.replace(/(\s(?:href|src))=(["'])\/(?!\/)/g, `$1=$2${config.siteUrl}/`);
+}
@@ -0,0 +1,104 @@
+/**
+ * VIDEO URL HELPERS (video.js)
+ *
+ * Purpose: This module recognizes YouTube video URLs and builds the player,
+ * watch-page and thumbnail URLs used by the VideoEmbed component and the
+ * embed rewriting in lib/embeds.js. It has no server-only imports, so it
+ * works in the browser too.
+ *
+ * Recognized URL forms:
+ * - https://www.youtube.com/watch?v=jEBnrzNuUSA
+ * - https://youtu.be/jEBnrzNuUSA
+ * - https://www.youtube.com/embed/jEBnrzNuUSA
+ * - https://www.youtube-nocookie.com/embed/jEBnrzNuUSA
+ * - https://www.youtube.com/shorts/jEBnrzNuUSA
+ */
+
+// YouTube video ids are 11 characters of letters, digits, "-" and "_"
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+
+// Hosts that serve YouTube watch pages, players or short links
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com',
+  'www.youtube.com',
+  'm.youtube.com',
+  'youtube-nocookie.com',
+  'www.youtube-nocookie.com',
+  'youtu.be',
+]);
+
+/**
+ * isVideoId - Check whether a value is a well-formed YouTube video id
+ *
+ * @param {string} value - The value to check
+ * @returns {boolean} True for 11 characters of letters, digits, "-" and "_"
+ */
+export function isVideoId(value) {
+  return typeof value === 'string' && VIDEO_ID.test(value);
+}
+
+/**
+ * parseYouTubeId - Extract the video id from a YouTube URL
+ *
+ * @param {string} value - A URL (protocol-relative URLs are accepted)
+ * @returns {string|null} The 11-character video id, or null if the URL isn't a YouTube video
+ */
+export function parseYouTubeId(value) {
+  let url;
+  try {
+    url = new URL(String(value).trim(), 'https://invalid.local');
+  } catch (error) {
+    return null;
+  }
+
+  if (!YOUTUBE_HOSTS.has(url.hostname)) {
+    return null;
+  }
+
+  // youtu.be/<id>, /embed/<id>, /shorts/<id>, or /watch?v=<id>
+  const [first, second] = url.pathname.split('/').filter(Boolean);
+  let id = null;
+  if (url.hostname === 'youtu.be') {
+    id = first;
+  } else if (first === 'embed' || first === 'shorts') {
+    id = second;
+  } else if (first === 'watch') {
+    id = url.searchParams.get('v');
+  }
+
+  return id && VIDEO_ID.test(id) ? id : null;
+}
+
+/**
+ * embedUrl - Build the player URL for a video
+ *
+ * @param {string} id - The video id
+ * @param {object} [options] - Player options
+ * @param {boolean} [options.privacy=true] - Use youtube-nocookie.com (no cookies until playback)
+ * @param {boolean} [options.autoplay=false] - Start playing as soon as the player loads
+ * @returns {string} The iframe src URL
+ */
+export function embedUrl(id, { privacy = true, autoplay = false } = {}) {
+  const host = privacy ? 'https://www.youtube-nocookie.com' : 'https://www.youtube.com';
+  return `${host}/embed/${id}${autoplay ? '?autoplay=1' : ''}`;
+}
+
+/**
+ * watchUrl - Build the YouTube watch-page URL for a video
+ *
+ * @param {string} id - The video id
+ * @returns {string} URL of the video on youtube.com
+ */
+export function watchUrl(id) {
+  return `https://www.youtube.com/watch?v=${id}`;
+}
+
+/**
+ * thumbnailUrl - Build the URL of a video's thumbnail image
+ *
+ * @param {string} id - The video id
+ * @returns {string} URL of the 480x360 "hqdefault" thumbnail
+ */
+export function thumbnailUrl(id) {
+  return `https://i.ytimg.com/vi/${id}/hqdefault.jpg`;
+}
@@ -0,0 +1,21 @@
+/**
+ * XML HELPERS (xml.js)
+ *
+ * Purpose: This module holds the escaping helper shared by the XML documents
+ * the site serves (RSS and Atom feeds, sitemap).
+ */
+
+/**
+ * escapeXml - Escape text for use inside XML elements and attributes
+ *
+ * @param {string} value - Plain text
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
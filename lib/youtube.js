@@ -0,0 +1,101 @@
+/**
+ * YOUTUBE DATA API (youtube.js)
+ *
+ * Purpose: This module looks up the running time of YouTube videos, so a
+ * post's estimated time can include the videos it embeds. It is optional:
+ * without YOUTUBE_API_KEY no request is made and video lengths are simply
+ * unknown.
+ *
+ * Key Features:
+ * - Up to 50 videos per request (the API's limit)
+ * - Responses go through the shared fetch cache (lib/fetch-cache.js), so
+ *   they are reused across pages and build workers and can be recorded into
+ *   the offline fixture; the API key travels in a header, never in a cached
+ *   or recorded URL
+ * - Lengths are remembered for the life of the process, since a video's
+ *   running time never changes
+ * - Failures are logged and leave the lengths unknown; they never fail a page
+ *
+ * Example Usage:
+ * import { getVideoDurations } from './youtube.js';
+ * const durations = await getVideoDurations(['621LzO0qWnU']);
+ * durations.get('621LzO0qWnU'); // 253 (seconds), or undefined if unknown
+ */
+
+// Import the cached fetch layer
+import { fetchJsonResponse } from './fetch-cache.js';
+
+// Import configuration for the API key
+import { config } from './config.js';
+
+// Import the structured logger
+import { logger } from './logger.js';
+
+// Videos endpoint of the YouTube Data API v3
+const VIDEOS_URL = 'https://www.googleapis.com/youtube/v3/videos';
+
+// Most ids the API accepts in one request
+const BATCH_SIZE = 50;
+
+// Known running times in seconds, keyed by video id
+const knownDurations = new Map();
+
+/**
+ * parseIsoDuration - Convert an ISO-8601 duration to seconds
+ *
+ * @param {string} value - Duration such as "PT4M13S" or "P1DT2H"
+ * @returns {number|null} Seconds, or null if the value isn't a duration
+ */
+export function parseIsoDuration(value) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || ''));
+  if (!match) {
+    return null;
+  }
+
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+}
+
+/**
+ * fetchBatch - Ask the API for the running times of up to 50 videos
+ *
+ * @param {Array<string>} ids - Video ids, sorted so the cached URL is stable
+ * @returns {Promise<void>} Resolves once the lengths are stored in knownDurations
+ * @throws {Error} If the request fails
+ */
+async function fetchBatch(ids) {
+  const url = `${VIDEOS_URL}?part=contentDetails&id=${ids.map(encodeURIComponent).join(',')}`;
+  const { data } = await fetchJsonResponse(url, { headers: { 'x-goog-api-key': config.youtubeApiKey } });
+
+  (data.items || []).forEach(item => {
+    const seconds = parseIsoDuration(item.contentDetails && item.contentDetails.duration);
+    if (seconds !== null) {
+      knownDurations.set(item.id, seconds);
+    }
+  });
+}
+
+/**
+ * getVideoDurations - Look up the running times of some YouTube videos
+ *
+ * @param {Array<string>} ids - Video ids (duplicates are fine)
+ * @returns {Promise<Map<string, number>>} Seconds per video id; videos whose
+ *                                         length is unknown are left out
+ */
+export async function getVideoDurations(ids) {
+  const missing = [...new Set(ids)].filter(id => !knownDurations.has(id)).sort();
+
+  if (config.youtubeApiKey && missing.length > 0) {
+    const batches = [];
+    for (let start = 0; start < missing.length; start += BATCH_SIZE) {
+      batches.push(missing.slice(start, start + BATCH_SIZE));
+    }
+
+    const results = await Promise.allSettled(batches.map(fetchBatch));
+    results
+      .filter(result => result.status === 'rejected')
+      .forEach(result => logger.warn('video.duration_failed', { error: result.reason }));
+  }
+
+  return new Map(ids.filter(id => knownDurations.has(id)).map(id => [id, knownDurations.get(id)]));
+}
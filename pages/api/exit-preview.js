@@ -0,0 +1,24 @@
+/**
+ * EXIT PREVIEW API ROUTE (api/exit-preview.js)
+ *
+ * Purpose: This route turns Next.js draft mode off again, so the editor
+ * sees the published site (served from the ISR cache) from now on.
+ *
+ * Usage:
+ * /api/exit-preview                      - Back to the home page
+ * /api/exit-preview?redirect=/posts/123  - Back to a page on this site
+ */
+
+// Import the redirect check
+import { safeRedirectPath } from '../../lib/preview';
+
+/**
+ * handler - Clear the draft mode cookie and redirect
+ *
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+export default function handler(req, res) {
+  res.setDraftMode({ enable: false });
+  res.redirect(safeRedirectPath(req.query.redirect));
+}
@@ -0,0 +1,84 @@
+/**
+ * OPEN GRAPH IMAGE ROUTE (api/og.js)
+ *
+ * Purpose: This route draws the sharing image (og:image) for every post
+ * from its title, date and the author's photo, so each shared link gets a
+ * distinct card without a third-party image service.
+ *
+ * Usage:
+ * /api/og?slug=noKitty  - Card for one post (404 if the post doesn't exist)
+ * /api/og               - Card for the site itself (home and other pages)
+ *
+ * Key Features:
+ * - Renders components/og-card.js to a 1200x630 PNG with next/og
+ * - Uses public/images/profile.jpg as the author photo
+ * - Cached by the CDN for a day; /api/revalidate doesn't need to touch it,
+ *   since titles and dates rarely change
+ */
+
+// Import Node.js modules for reading the profile photo
+import fs from 'fs';
+import path from 'path';
+
+// Import the PNG renderer
+import { ImageResponse } from 'next/og';
+
+// Import the card layout and the site details shown on it
+import OgCard from '../../components/og-card';
+import { authorName, siteTitle } from '../../components/layout';
+
+// Import the post list reader and the shared date formatter
+import { getSortedPostsData } from '../../lib/posts';
+import { formatPostDate } from '../../lib/dates';
+
+// Card size recommended by Facebook, LinkedIn and X
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+// Profile photo as a data: URL, read once per server process
+let avatarDataUrl = null;
+
+/**
+ * readAvatar - Load the profile photo for embedding in the card
+ *
+ * @returns {string} The photo as a data: URL
+ */
+function readAvatar() {
+  if (!avatarDataUrl) {
+    const photo = fs.readFileSync(path.join(process.cwd(), 'public', 'images', 'profile.jpg'));
+    avatarDataUrl = `data:image/jpeg;base64,${photo.toString('base64')}`;
+  }
+  return avatarDataUrl;
+}
+
+/**
+ * handler - Render the card for a post, or for the site
+ *
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+export default async function handler(req, res) {
+  const { slug } = req.query;
+
+  let title = siteTitle;
+  let date = null;
+  if (typeof slug === 'string' && slug !== '') {
+    // The listed post has the title and date; its rendered content isn't needed
+    const post = (await getSortedPostsData()).find(listed => listed.slug === slug);
+    if (!post) {
+      return res.status(404).json({ error: `No post with slug "${slug}"` });
+    }
+
+    title = post.title;
+    date = formatPostDate(post.date);
+  }
+
+  const image = new ImageResponse(
+    <OgCard title={title} date={date} author={authorName} avatar={readAvatar()} site={siteTitle} />,
+    { width: WIDTH, height: HEIGHT }
+  );
+
+  res.setHeader('Content-Type', 'image/png');
+  res.setHeader('Cache-Control', 'public, s-maxage=86400, stale-while-revalidate=604800');
+  res.end(Buffer.from(await image.arrayBuffer()));
+}
@@ -0,0 +1,54 @@
+/**
+ * PREVIEW API ROUTE (api/preview.js)
+ *
+ * Purpose: This route turns on Next.js draft mode and opens a post, so
+ * editors can see an unpublished WordPress draft in the site layout before
+ * publishing it. In draft mode the post page skips the ISR cache and reads
+ * the latest draft from WordPress on every request.
+ *
+ * Usage (e.g. as the WordPress preview link):
+ * /api/preview?secret=<PREVIEW_SECRET>&id=123
+ *
+ * Responses:
+ * - 307 redirect to the post page, with the draft mode cookie set. The
+ *   page is opened by post id (/posts/123): a draft may not have a slug yet,
+ *   and draft mode reads the post by id (see getPostData())
+ * - 401 if the secret is missing or wrong (or PREVIEW_SECRET isn't set)
+ * - 400 if no post id is given
+ * - 404 if no content source has the post, even as a draft
+ */
+
+// Import the secret check
+import { isValidPreviewSecret } from '../../lib/preview';
+
+// Import the function that reads a post, drafts included
+import { getPostData } from '../../lib/posts';
+
+// Import the helper that builds each post's URL
+import { postPath } from '../../lib/urls';
+
+/**
+ * handler - Check the request and enable draft mode
+ *
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+export default async function handler(req, res) {
+  const { secret, id } = req.query;
+
+  if (!isValidPreviewSecret(secret)) {
+    return res.status(401).json({ error: 'Invalid preview secret' });
+  }
+  if (typeof id !== 'string' || id === '') {
+    return res.status(400).json({ error: 'Missing post id' });
+  }
+
+  // Make sure the post exists before sending the editor to it
+  const post = await getPostData(id, { preview: true });
+  if (!post) {
+    return res.status(404).json({ error: `No post with id "${id}"` });
+  }
+
+  res.setDraftMode({ enable: true });
+  res.redirect(postPath(post.id));
+}
@@ -0,0 +1,79 @@
+/**
+ * REVALIDATION WEBHOOK (api/revalidate.js)
+ *
+ * Purpose: WordPress calls this route when a post is saved or published,
+ * and the affected pages are regenerated right away instead of waiting for
+ * the ISR timer. The timer (REVALIDATE_SECONDS) stays as a safety net.
+ *
+ * Usage (e.g. from a WordPress webhook plugin on save_post / publish_post):
+ * POST /api/revalidate
+ * X-Revalidate-Secret: <REVALIDATE_SECRET>   (or ?secret=<REVALIDATE_SECRET>)
+ * { "post_id": 123, "post_name": "my-post" }   (post_name is optional)
+ *
+ * Responses:
+ * - 200 { revalidated: [...paths] }
+ * - 401 if the secret is missing or wrong (or REVALIDATE_SECRET isn't set)
+ * - 405 for anything but POST
+ * - 500 { error } if the affected pages couldn't be listed (a content source failed)
+ * - 500 { revalidated, failed } if some pages couldn't be regenerated
+ */
+
+// Import configuration for the shared secret
+import { config } from '../../lib/config';
+
+// Import the constant-time secret comparison
+import { matchesSecret } from '../../lib/secrets';
+
+// Import the fetch cache, cleared so regenerated pages see the new content
+import { clearFetchCache } from '../../lib/fetch-cache';
+
+// Import the helpers that read the payload and list the affected pages
+import { getRevalidationPaths, readWebhookPostId, readWebhookSlug } from '../../lib/revalidate';
+
+// Import the structured logger
+import { logger } from '../../lib/logger';
+
+/**
+ * handler - Check the webhook and regenerate the affected pages
+ *
+ * @param {object} req - Next.js API request
+ * @param {object} res - Next.js API response
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const secret = req.headers['x-revalidate-secret'] || req.query.secret;
+  if (!matchesSecret(secret, config.revalidateSecret)) {
+    return res.status(401).json({ error: 'Invalid revalidation secret' });
+  }
+
+  const postId = readWebhookPostId(req.body);
+
+  // Drop cached API responses first, or the pages would be rebuilt from them
+  clearFetchCache();
+  let paths;
+  try {
+    paths = await getRevalidationPaths(postId, { slug: readWebhookSlug(req.body) });
+  } catch (error) {
+    logger.error('content.revalidate_failed', { id: postId, error: error.message });
+    return res.status(500).json({ error: 'Could not list the pages to regenerate' });
+  }
+
+  const results = await Promise.allSettled(paths.map(path => res.revalidate(path)));
+  const revalidated = paths.filter((path, index) => results[index].status === 'fulfilled');
+  const failed = paths
+    .map((path, index) => ({ path, result: results[index] }))
+    .filter(({ result }) => result.status === 'rejected')
+    .map(({ path, result }) => ({ path, error: result.reason.message }));
+
+  if (failed.length > 0) {
+    logger.error('content.revalidate_failed', { id: postId, revalidated, failed });
+    return res.status(500).json({ revalidated, failed });
+  }
+
+  logger.info('content.revalidated', { id: postId, paths: revalidated });
+  return res.status(200).json({ revalidated });
+}
@@ -0,0 +1,77 @@
+/**
+ * MONTH ARCHIVE PAGE (archive/[year]/[month].js)
+ *
+ * Purpose: This page lists every post published in one month, e.g.
+ * /archive/2025/11. Post pages link here from their date line.
+ *
+ * Key Features:
+ * - Statically generates one page per month with at least one post
+ * - Uses ISR (regenerated by /api/revalidate) to pick up newly published posts
+ * - Returns a 404 for months without posts and for non-canonical URLs (/archive/2025/1)
+ */
+
+// Import the shared year/month page body
+import ArchiveListing from '../../../components/archive-listing';
+
+// Import the functions that list the archive periods and the posts of one
+import { getArchive, getPostsByPeriod } from '../../../lib/posts';
+
+// Import the URL parameter parser
+import { parsePeriod } from '../../../lib/archive';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../../lib/config';
+
+/**
+ * getStaticProps - Fetch the posts published in the requested month
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.params - URL parameters
+ * @param {string} context.params.year - The year from the URL
+ * @param {string} context.params.month - The two-digit month from the URL
+ * @returns {object} Props with the period and its posts, or notFound if the month has no posts
+ */
+export async function getStaticProps({ params }) {
+  const period = parsePeriod(params.year, params.month);
+  const listing = period ? await getPostsByPeriod(period) : null;
+
+  if (!listing) {
+    return {
+      notFound: true,
+      revalidate: config.revalidateSeconds, // Check again later in case a post gets published
+    };
+  }
+
+  return {
+    props: listing, // { period: { year, month }, posts }
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * getStaticPaths - Pre-generate one page per month with posts
+ *
+ * @returns {object} Object containing paths array and fallback mode
+ */
+export async function getStaticPaths() {
+  const years = await getArchive();
+
+  return {
+    paths: years.flatMap(({ months }) => months.map(({ year, month }) => ({
+      params: { year: String(year), month: String(month).padStart(2, '0') },
+    }))),
+    fallback: 'blocking', // Server-render months added after the build on first request
+  };
+}
+
+/**
+ * MonthArchivePage - List every post published in one month
+ *
+ * @param {object} props - Component props
+ * @param {object} props.period - The year and month
+ * @param {Array} props.posts - Posts published in the month
+ * @returns {JSX.Element} The rendered archive page
+ */
+export default function MonthArchivePage({ period, posts }) {
+  return <ArchiveListing period={period} posts={posts} />;
+}
@@ -0,0 +1,74 @@
+/**
+ * YEAR ARCHIVE PAGE (archive/[year]/index.js)
+ *
+ * Purpose: This page lists every post published in one year, e.g.
+ * /archive/2025, so readers can browse the blog by time.
+ *
+ * Key Features:
+ * - Statically generates one page per year with at least one post
+ * - Uses ISR (regenerated by /api/revalidate) to pick up newly published posts
+ * - Returns a 404 for years without posts and for non-canonical URLs (/archive/25)
+ */
+
+// Import the shared year/month page body
+import ArchiveListing from '../../../components/archive-listing';
+
+// Import the functions that list the archive periods and the posts of one
+import { getArchive, getPostsByPeriod } from '../../../lib/posts';
+
+// Import the URL parameter parser
+import { parsePeriod } from '../../../lib/archive';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../../lib/config';
+
+/**
+ * getStaticProps - Fetch the posts published in the requested year
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.params - URL parameters
+ * @param {string} context.params.year - The year from the URL
+ * @returns {object} Props with the period and its posts, or notFound if the year has no posts
+ */
+export async function getStaticProps({ params }) {
+  const period = parsePeriod(params.year);
+  const listing = period ? await getPostsByPeriod(period) : null;
+
+  if (!listing) {
+    return {
+      notFound: true,
+      revalidate: config.revalidateSeconds, // Check again later in case a post gets published
+    };
+  }
+
+  return {
+    props: listing, // { period: { year, month: null }, posts }
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * getStaticPaths - Pre-generate one page per year with posts
+ *
+ * @returns {object} Object containing paths array and fallback mode
+ */
+export async function getStaticPaths() {
+  const years = await getArchive();
+
+  return {
+    paths: years.map(({ year }) => ({ params: { year: String(year) } })),
+    fallback: 'blocking', // Server-render years added after the build on first request
+  };
+}
+
+/**
+ * YearArchivePage - List every post published in one year
+ *
+ * @param {object} props - Component props
+ * @param {object} props.period - The year (month is null)
+ * @param {Array} props.posts - Posts published in the year
+ * @returns {JSX.Element} The rendered archive page
+ */
+export default function YearArchivePage({ period, posts }) {
+  return <ArchiveListing period={period} posts={posts} />;
+}
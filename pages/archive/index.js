@@ -0,0 +1,106 @@
+/**
+ * ARCHIVE INDEX PAGE (archive/index.js)
+ *
+ * Purpose: This page lists every year and month with posts, with the number
+ * of posts in each, linking to the year and month archive pages.
+ *
+ * Key Features:
+ * - Years newest first, each followed by its months newest first
+ * - Uses ISR (regenerated by /api/revalidate) to pick up newly published posts
+ */
+
+// Import the Link component from Next.js for client-side navigation between pages
+import Link from 'next/link';
+
+// Import the Head component from Next.js for managing the page title
+import Head from 'next/head';
+
+// Import the Layout component and siteTitle constant from the layout component
+import Layout, { siteTitle } from '../../components/layout';
+
+// Import the function that counts the posts per year and month
+import { getArchive } from '../../lib/posts';
+
+// Import the archive URL and heading helpers
+import { archivePath, periodLabel } from '../../lib/archive';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../lib/config';
+
+// Import the SEO metadata builder
+import { pageMeta } from '../../lib/metadata';
+
+// Import CSS module styles for utility classes (typography, spacing, etc.)
+import utilStyles from '../../styles/utils.module.css';
+
+/**
+ * postCount - Format a post count, e.g. "1 post" or "3 posts"
+ *
+ * @param {number} count - Number of posts
+ * @returns {string} The count with its noun
+ */
+function postCount(count) {
+  return `${count} ${count === 1 ? 'post' : 'posts'}`;
+}
+
+/**
+ * getStaticProps - Count the posts in every year and month
+ *
+ * @returns {object} Props with the archive years and revalidation time
+ */
+export async function getStaticProps() {
+  return {
+    props: {
+      years: await getArchive(), // [{ year, count, months: [{ year, month, count }] }]
+      meta: pageMeta({
+        path: archivePath(),
+        title: `Archive - ${siteTitle}`,
+        description: `Every post on ${siteTitle}, by year and month.`,
+      }),
+    },
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * ArchivePage - List every year and month with posts
+ *
+ * @param {object} props - Component props
+ * @param {Array} props.years - Years from getArchive()
+ * @param {object} props.meta - SEO metadata from pageMeta()
+ * @returns {JSX.Element} The rendered archive index
+ */
+export default function ArchivePage({ years, meta }) {
+  return (
+    <Layout meta={meta}>
+      <Head>
+        <title>{`Archive - ${siteTitle}`}</title>
+      </Head>
+
+      <section className={utilStyles.headingMd}>
+        <h2 className={utilStyles.headingLg}>Archive</h2>
+
+        {years.length === 0 && <p>No posts yet.</p>}
+
+        <ul className={utilStyles.list}>
+          {years.map(({ year, count, months }) => (
+            <li className={utilStyles.listItem} key={year}>
+              <Link href={archivePath(year)}>{year}</Link>
+              <small className={utilStyles.lightText}> ({postCount(count)})</small>
+
+              {/* The months of the year that have posts */}
+              <ul className={utilStyles.list}>
+                {months.map(({ month, count: monthCount }) => (
+                  <li key={month}>
+                    <Link href={archivePath(year, month)}>{periodLabel({ year, month })}</Link>
+                    <small className={utilStyles.lightText}> ({postCount(monthCount)})</small>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      </section>
+    </Layout>
+  );
+}
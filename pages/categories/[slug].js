@@ -0,0 +1,71 @@
+/**
+ * CATEGORY LISTING PAGE (categories/[slug].js)
+ *
+ * Purpose: This page lists every post in one category, e.g. /categories/videos.
+ * Categories come from WordPress post categories and the `categories:`
+ * front matter field of markdown posts.
+ *
+ * Key Features:
+ * - Statically generates one page per category used by at least one post
+ * - Uses ISR (regenerated by /api/revalidate) to pick up newly filed posts
+ * - Returns a 404 for categories no post uses
+ */
+
+// Import the shared tag/category page body
+import TermListing from '../../components/term-listing';
+
+// Import the functions that list categories and the posts filed under one
+import { getAllTerms, getPostsByTerm } from '../../lib/posts';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../lib/config';
+
+/**
+ * getStaticProps - Fetch the posts in the requested category
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.params - URL parameters
+ * @param {string} context.params.slug - The category slug from the URL
+ * @returns {object} Props with the category and its posts, or notFound if no post is in it
+ */
+export async function getStaticProps({ params }) {
+  const listing = await getPostsByTerm('categories', params.slug);
+
+  if (!listing) {
+    return {
+      notFound: true,
+      revalidate: config.revalidateSeconds, // Check again later in case a post is filed here
+    };
+  }
+
+  return {
+    props: listing, // { term: { name, slug }, posts }
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * getStaticPaths - Pre-generate one page per category
+ *
+ * @returns {object} Object containing paths array and fallback mode
+ */
+export async function getStaticPaths() {
+  const categories = await getAllTerms('categories');
+
+  return {
+    paths: categories.map(category => ({ params: { slug: category.slug } })),
+    fallback: 'blocking', // Server-render categories added after the build on first request
+  };
+}
+
+/**
+ * CategoryPage - List every post in one category
+ *
+ * @param {object} props - Component props
+ * @param {object} props.term - The category's name and slug
+ * @param {Array} props.posts - Posts in the category
+ * @returns {JSX.Element} The rendered category page
+ */
+export default function CategoryPage({ term, posts }) {
+  return <TermListing taxonomy="categories" term={term} posts={posts} />;
+}
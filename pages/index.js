@@ -2,14 +2,16 @@
  * HOME PAGE (index.js)
  * 
  * Purpose: This is the main landing page of the blog application. It displays a list of all
- * blog posts fetched from a WordPress REST API endpoint. The page uses Incremental Static 
- * Regeneration (ISR) to automatically refresh content every 60 seconds without requiring
- * a full rebuild/redeploy.
+ * blog posts merged from every configured content source (WordPress and local markdown).
+ * The page uses Incremental Static Regeneration (ISR) to refresh content when a post is published, and at least
+ * once every REVALIDATE_SECONDS (1 hour by default), without requiring a full rebuild/redeploy.
  * 
  * Key Features:
- * - Fetches blog post data from WordPress REST API at build time
- * - Displays posts in a sorted list with titles and dates
- * - Uses ISR to keep content fresh (revalidates every 60 seconds)
+ * - Fetches blog post data from WordPress and /posts markdown files at build time
+ * - Displays the first page of posts in a sorted list with titles and dates
+ *   (older pages live at /page/2, /page/3, ... - see pages/page/[n].js)
+ * - Uses ISR to keep content fresh (regenerated by /api/revalidate when a post
+ *   is published, and every REVALIDATE_SECONDS as a safety net)
  * - Includes embedded YouTube video
  * - Responsive layout with custom styling
  */
@@ -17,42 +19,62 @@
 // Import the Link component from Next.js for client-side navigation between pages
 import Link from 'next/link';
 
-// Import the custom Date component for formatting and displaying post dates
-import Date from '../components/date';
-
 // Import the Head component from Next.js for managing document head elements (title, meta tags)
 import Head from 'next/head';
 
 // Import the Layout component and siteTitle constant from the layout component
-import Layout, { siteTitle } from '../components/layout';
+import Layout, { siteDescription, siteTitle } from '../components/layout';
 
 // Import CSS module styles for utility classes (typography, spacing, etc.)
 import utilStyles from '../styles/utils.module.css';
 
-// Import the getSortedPostsData function to fetch and sort blog post data from WordPress API
+// Import the click-to-load YouTube player
+import VideoEmbed from '../components/video-embed';
+
+// Import the post list and page navigation components shared with /page/[n]
+import PostList from '../components/post-list';
+import Pagination from '../components/pagination';
+
+// Import the getSortedPostsData function to fetch and sort blog post data from every content source
 import { getSortedPostsData } from '../lib/posts';
+
+// Import the helper that cuts the post list into pages, and the page size setting
+import { paginate } from '../lib/pagination';
+import { config } from '../lib/config';
+
+// Import the SEO metadata builder
+import { pageMeta } from '../lib/metadata';
  
 /**
  * getStaticProps - Static Site Generation (SSG) with Incremental Static Regeneration (ISR)
  * 
  * This function runs at build time on the server to fetch data for the page.
- * With ISR enabled (revalidate: 60), Next.js will:
+ * With ISR enabled (revalidate: REVALIDATE_SECONDS), Next.js will:
  * 1. Serve the cached static page for fast performance
- * 2. After 60 seconds, regenerate the page in the background with fresh WordPress data
+ * 2. Regenerate the page in the background with fresh WordPress data when
+ *    /api/revalidate is called (WordPress publish webhook), or once the
+ *    safety-net timer runs out
  * 3. Serve the updated page to subsequent visitors
  * 
- * @returns {object} Props containing all blog posts data and revalidation time
+ * @returns {object} Props containing the first page of posts, pagination details
+ *                   and revalidation time
  */
 export async function getStaticProps() {
-  // Call the function to get all blog posts sorted by date from WordPress REST API
+  // Call the function to get all blog posts from every content source,
+  // in the configured order (POST_ORDER, newest first by default)
   const allPostsData = await getSortedPostsData();
+
+  // Keep only the posts that belong on page 1
+  const { items, pagination } = paginate(allPostsData, 1, config.postsPerPage);
   
   // Return the data as props to be passed to the Home component
   return {
     props: {
-      allPostsData, // Array of post objects with id, title, and date
+      postsData: items, // Array of post objects with id, title, and date
+      pagination,       // { page: 1, totalPages }
+      meta: pageMeta({ path: '/', title: siteTitle, description: siteDescription }),
     },
-    revalidate: 60, // Regenerate page with fresh WordPress data every 60 seconds (ISR)
+    revalidate: config.revalidateSeconds, // Safety net, hourly by default; /api/revalidate refreshes the page on publish (ISR)
   };
 }
 
@@ -60,16 +82,18 @@ export async function getStaticProps() {
  * Home - The main home page component
  * 
  * This component renders the home page layout including a YouTube video embed
- * and a list of all blog posts. Each post is displayed as a link with its
- * publication date.
+ * and the first page of blog posts. Each post is displayed as a link with its
+ * publication date, followed by links to the other pages.
  * 
  * @param {object} props - Component props
- * @param {Array} props.allPostsData - Array of blog post objects from getStaticProps
+ * @param {Array} props.postsData - Array of blog post objects for page 1 from getStaticProps
+ * @param {object} props.pagination - Current page number and total page count
+ * @param {object} props.meta - SEO metadata from pageMeta()
  * @returns {JSX.Element} The rendered home page
  */
-export default function Home({ allPostsData }) {
+export default function Home({ postsData, pagination, meta }) {
   return (
-    <Layout home>
+    <Layout home meta={meta}>
       {/* Set the page title in the document head */}
       <Head>
         <title>{siteTitle}</title>
@@ -80,39 +104,22 @@ export default function Home({ allPostsData }) {
         {/* Link to a special first post page */}
         <p><Link href="/posts/first-post">[DUMB DUMB DUMB DUMB DUMB]</Link></p>
         
-        {/* Embedded YouTube video player */}
-        <iframe 
-          width="560" 
-          height="315" 
-          src="https://www.youtube.com/embed/621LzO0qWnU" 
-          title="YouTube video player" 
-          frameBorder="0" 
-          allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share" 
-          referrerPolicy="strict-origin-when-cross-origin" 
-          allowFullScreen
-          style={{ marginBottom: '10px' }}
-        />
+        {/* Embedded YouTube video (click-to-load, privacy-enhanced mode) */}
+        <VideoEmbed videoId="621LzO0qWnU" title="YouTube video player" />
       </section>
 
-      {/* Blog posts section - displays all posts from WordPress */}
+      {/* Blog posts section - displays all posts from every content source */}
       <section className={`${utilStyles.headingMd} ${utilStyles.padding1px}`}>
         <h2 className={utilStyles.headingLg}>Blog</h2>
+
+        {/* Full-text search over every post, and the posts by year and month */}
+        <p><Link href="/search">Search posts</Link> · <Link href="/archive">Archive</Link></p>
         
-        {/* Unordered list of all blog posts */}
-        <ul className={utilStyles.list}>
-          {/* Map through each post and render a list item with link and date */}
-          {allPostsData.map(({ id, date, title }) => (
-            <li className={utilStyles.listItem} key={id}>
-              {/* Link to individual post page using dynamic routing */}
-              <Link href={`/posts/${id}`}>{title}</Link>
-              <br />
-              {/* Display formatted publication date */}
-              <small className={utilStyles.lightText}>
-                <Date dateString={date} />
-              </small>
-            </li>
-          ))}
-        </ul>
+        {/* List of the posts on page 1 */}
+        <PostList posts={postsData} />
+
+        {/* Links to the other pages of posts */}
+        <Pagination page={pagination.page} totalPages={pagination.totalPages} />
       </section>
     </Layout>
   );
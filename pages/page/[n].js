@@ -0,0 +1,138 @@
+/**
+ * NUMBERED BLOG INDEX PAGE (page/[n].js)
+ *
+ * Purpose: This page shows one page of the blog post list, so the index stays
+ * short as the blog grows. The home page shows page 1; this route serves
+ * /page/2, /page/3, and so on.
+ *
+ * Key Features:
+ * - Statically generates one route per page of posts at build time
+ * - Page size comes from POSTS_PER_PAGE (see lib/config.js)
+ * - /page/1 permanently redirects to the home page
+ * - Out-of-range page numbers, and numbers not in canonical form ("02"), return a 404
+ * - Canonical URL and social metadata for each page
+ * - Uses ISR (regenerated by /api/revalidate) like the home page
+ */
+
+// Import the Head component from Next.js for managing document head elements (title, meta tags)
+import Head from 'next/head';
+
+// Import the Layout component and site constants from the layout component
+import Layout, { siteDescription, siteTitle } from '../../components/layout';
+
+// Import the post list and page navigation components shared with the home page
+import PostList from '../../components/post-list';
+import Pagination from '../../components/pagination';
+
+// Import CSS module styles for utility classes (typography, spacing, etc.)
+import utilStyles from '../../styles/utils.module.css';
+
+// Import the function that returns every post from every content source
+import { getSortedPostsData } from '../../lib/posts';
+
+// Import the pagination helpers and the page size setting
+import { countPages, pagePath, paginate, parsePageNumber } from '../../lib/pagination';
+import { config } from '../../lib/config';
+
+// Import the SEO metadata builder
+import { pageMeta } from '../../lib/metadata';
+
+/**
+ * getStaticProps - Fetch the posts for one index page
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.params - URL parameters
+ * @param {string} context.params.n - The page number from the URL
+ * @returns {object} Props with the page's posts, pagination details and
+ *                   metadata, a redirect for page 1, or notFound for invalid pages
+ */
+export async function getStaticProps({ params }) {
+  const page = parsePageNumber(params.n);
+  if (page === null) {
+    return { notFound: true };
+  }
+
+  // Page 1 is the home page
+  if (page === 1) {
+    return {
+      redirect: { destination: '/', permanent: true },
+    };
+  }
+
+  // Sort in the configured order (POST_ORDER) so page numbers match the home page
+  const allPostsData = await getSortedPostsData();
+  const result = paginate(allPostsData, page, config.postsPerPage);
+
+  // Past the last page
+  if (!result) {
+    return {
+      notFound: true,
+      revalidate: config.revalidateSeconds, // Check again later in case more posts are published
+    };
+  }
+
+  return {
+    props: {
+      postsData: result.items, // Array of post objects with id, title, and date
+      pagination: result.pagination, // { page, totalPages }
+      meta: pageMeta({
+        path: pagePath(page),
+        title: `${siteTitle} - Page ${page}`,
+        description: siteDescription,
+      }),
+    },
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * getStaticPaths - Pre-generate /page/2 through /page/<last>
+ *
+ * @returns {object} Object containing paths array and fallback mode
+ */
+export async function getStaticPaths() {
+  const allPostsData = await getSortedPostsData();
+  const totalPages = countPages(allPostsData.length, config.postsPerPage);
+
+  // Page 1 is served by the home page, so start at 2
+  const paths = [];
+  for (let page = 2; page <= totalPages; page++) {
+    paths.push({ params: { n: String(page) } });
+  }
+
+  return {
+    paths,
+    fallback: 'blocking', // Server-render pages added after the build on first request
+  };
+}
+
+/**
+ * BlogPage - One page of the blog post list
+ *
+ * @param {object} props - Component props
+ * @param {Array} props.postsData - Posts shown on this page
+ * @param {object} props.pagination - Current page number and total page count
+ * @param {object} props.meta - SEO metadata from pageMeta()
+ * @returns {JSX.Element} The rendered index page
+ */
+export default function BlogPage({ postsData, pagination, meta }) {
+  return (
+    <Layout meta={meta}>
+      {/* Set the page title, including the page number */}
+      <Head>
+        <title>{`${siteTitle} - Page ${pagination.page}`}</title>
+      </Head>
+
+      {/* Blog posts section for this page */}
+      <section className={utilStyles.headingMd}>
+        <h2 className={utilStyles.headingLg}>
+          Blog - Page {pagination.page} of {pagination.totalPages}
+        </h2>
+
+        <PostList posts={postsData} />
+
+        <Pagination page={pagination.page} totalPages={pagination.totalPages} />
+      </section>
+    </Layout>
+  );
+}
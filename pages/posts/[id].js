@@ -2,18 +2,22 @@
  * DYNAMIC POST PAGE ([id].js)
  * 
  * Purpose: This page displays individual blog posts using Next.js dynamic routing.
- * The [id] in the filename creates a dynamic route that matches /posts/1, /posts/10, etc.
- * It fetches post data from WordPress REST API and uses ISR to keep content fresh.
+ * The [id] in the filename creates a dynamic route that matches /posts/test-wp, /posts/noKitty, etc.
+ * It fetches post data from the content sources (WordPress, markdown) and uses ISR to keep content fresh.
  * 
  * Key Features:
- * - Dynamic routing based on post ID from WordPress
- * - Fetches individual post content from WordPress REST API
- * - Uses ISR (revalidates every 60 seconds) for automatic content updates
+ * - Dynamic routing based on the post slug (WordPress permalink or markdown file name)
+ * - Permanently redirects old numeric URLs (/posts/12) to the slug (301)
+ * - Fetches individual post content from whichever source owns the post
+ * - Uses ISR for automatic content updates (regenerated by /api/revalidate
+ *   when WordPress saves the post, and every REVALIDATE_SECONDS as a safety net)
  * - Fallback blocking mode for posts not pre-generated at build time
- * - Displays post title, date, and HTML content
+ * - Displays post title, date, categories, tags, and HTML content
+ * - Links to the previous/next posts and related posts (lib/related.js)
+ * - Returns a 404 for slugs that don't exist
  * 
  * How it works:
- * 1. getStaticPaths() tells Next.js which post IDs exist
+ * 1. getStaticPaths() tells Next.js which post slugs exist
  * 2. getStaticProps() fetches data for each individual post
  * 3. Post component renders the content with proper formatting
  */
@@ -27,33 +31,104 @@ import Date from '../../components/date';
 // Import the Head component from Next.js for managing document head elements (title, meta)
 import Head from 'next/head';
 
-// Import the Layout component for consistent page structure with header and navigation
-import Layout from '../../components/layout';
+// Import the Layout component and the site details used in structured data
+import Layout, { authorName, siteTitle } from '../../components/layout';
 
-// Import functions to get all post IDs and individual post data from WordPress API
-import { getAllPostIds, getPostData } from '../../lib/posts';
+// Import the component that renders category and tag links
+import TermList from '../../components/term-list';
+
+// Import the component that renders post HTML with click-to-load videos
+import PostBody from '../../components/post-body';
+
+// Import the badge shown on drafts and scheduled posts (SHOW_DRAFTS in dev only)
+import StatusBadge from '../../components/status-badge';
+
+// Import the estimated reading and watch time
+import ReadingTime from '../../components/reading-time';
+
+// Import the previous/next and related posts block
+import PostNavigation from '../../components/post-navigation';
+
+// Import functions to get all post slugs and individual post data from the content sources
+import { getAllPostIds, getPostData, getPostSlug, getSortedPostsData } from '../../lib/posts';
+
+// Import the helpers that pick the previous/next and related posts
+import { adjacentPosts, relatedPosts } from '../../lib/related';
+
+// Import the helper that builds each post's URL
+import { postPath } from '../../lib/urls';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../lib/config';
+
+// Import the SEO metadata and structured data builders
+import { blogPostingJsonLd, postMeta, serializeJsonLd } from '../../lib/metadata';
  
 /**
  * getStaticProps - Static Site Generation with ISR for individual posts
  * 
  * This function runs at build time (and during revalidation) to fetch data for a specific post.
- * It receives the post ID from the URL parameters and fetches the full post data.
+ * It receives the post slug from the URL parameters and fetches the full post data.
+ * An all-digit URL that matches no slug but a post id instead (WordPress
+ * links from before slugs existed) is answered with a permanent redirect to
+ * the slug, which ISR caches like a page.
+ *
+ * In draft mode (turned on by /api/preview) Next.js runs this on every
+ * request instead of serving the ISR cache, and the latest unpublished
+ * version of the post is read.
  * 
  * @param {object} context - Next.js context object
  * @param {object} context.params - URL parameters
- * @param {string} context.params.id - The post ID from the URL
- * @returns {object} Props containing the post data and revalidation time
+ * @param {string} context.params.id - The post slug from the URL
+ * @param {boolean} [context.draftMode] - True when the editor is in draft mode
+ * @returns {object} Props containing the post data and revalidation time,
+ *                   a 301 redirect for a post id, or notFound: true if no post has this slug
  */
-export async function getStaticProps({ params }) {
-    // Extract the post ID from the URL parameters and fetch full post data from WordPress
-    const postData = await getPostData(params.id);
+export async function getStaticProps({ params, draftMode = false }) {
+    // Extract the post slug from the URL parameters and fetch full post data from WordPress
+    // (if a content source fails, getPostData throws: the build fails, or during
+    // revalidation Next.js keeps serving the last good version of this page)
+    const postData = await getPostData(params.id, { preview: draftMode });
+
+    // Old numeric URL: send visitors and search engines to the slug for good
+    // (draft mode skips this, since preview links name posts by id)
+    if (!postData && !draftMode && /^\d+$/.test(params.id)) {
+      const slug = await getPostSlug(params.id);
+      if (slug) {
+        return {
+          redirect: { destination: postPath(slug), statusCode: 301 },
+          revalidate: config.revalidateSeconds, // Follows the post if its slug changes
+        };
+      }
+    }
+
+    // Unknown post slug: answer with the 404 page instead of an empty post
+    if (!postData) {
+      return {
+        notFound: true,
+        revalidate: config.revalidateSeconds, // Check again later in case the post gets published
+      };
+    }
    
+    // Build the SEO metadata here: absolute URLs need SITE_URL, which only the server knows
+    const meta = postMeta(postData);
+
+    // Find the neighbors in the index order and the most similar posts
+    const allPosts = await getSortedPostsData();
+    const { previous, next } = adjacentPosts(allPosts, postData.id);
+
     // Return the post data as props to be passed to the Post component
     return {
       props: {
         postData, // Object with id, title, date, and contentHtml
+        meta,     // Description, canonical URL, Open Graph details
+        jsonLd: serializeJsonLd(blogPostingJsonLd(meta, { title: siteTitle, author: authorName })),
+        preview: draftMode, // Shows the preview banner
+        previous,           // { id, slug, title, date } of the post before this one, or null
+        next,               // { id, slug, title, date } of the post after this one, or null
+        related: relatedPosts(allPosts, postData), // Up to 3 similar posts
       },
-      revalidate: 60, // Regenerate page with fresh WordPress data every 60 seconds (ISR)
+      revalidate: config.revalidateSeconds, // Safety net, hourly by default; /api/revalidate refreshes the page on publish (ISR)
     };
   }
  
@@ -61,19 +136,19 @@ export async function getStaticProps({ params }) {
  * getStaticPaths - Define which dynamic paths to pre-generate at build time
  * 
  * This function tells Next.js which post pages exist and should be pre-built.
- * At build time, it fetches all post IDs from WordPress and generates a static
+ * At build time, it fetches all post slugs from the content sources and generates a static
  * page for each one. The fallback mode determines what happens for posts not
  * pre-generated (e.g., new posts added after deployment).
  * 
  * @returns {object} Object containing paths array and fallback mode
  */
 export async function getStaticPaths() {
-  // Get all available post IDs from the WordPress REST API
+  // Get the slug of every available post
   const paths = await getAllPostIds();
   
   // Return the paths and fallback configuration
   return {
-    paths, // Array of { params: { id: '1' } } objects
+    paths, // Array of { params: { id: 'test-wp' } } objects
     fallback: 'blocking', // Server-render pages on-demand if not pre-generated at build time
   };
 }
@@ -82,37 +157,74 @@ export async function getStaticPaths() {
  * Post - Individual blog post page component
  * 
  * This component renders a single blog post with its title, publication date,
- * and full HTML content. The HTML content from WordPress is rendered using
- * dangerouslySetInnerHTML (safe because it comes from a trusted WordPress API).
+ * and full HTML content. The HTML content is rendered by PostBody, which
+ * swaps video placeholders for the VideoEmbed player (safe because
+ * getPostData() sanitizes the HTML on the server, see lib/sanitize.js).
  * 
  * @param {object} props - Component props
  * @param {object} props.postData - Post data object from getStaticProps
  * @param {string} props.postData.title - Post title
  * @param {string} props.postData.date - Post publication date
+ * @param {Array} props.postData.categories - Categories with name and slug
+ * @param {Array} props.postData.tags - Tags with name and slug
  * @param {string} props.postData.contentHtml - Post HTML content
+ * @param {boolean} props.preview - True in draft mode
+ * @param {object} props.meta - SEO metadata from postMeta()
+ * @param {string} props.jsonLd - Serialized BlogPosting structured data
+ * @param {object|null} props.previous - Previous post in the index order
+ * @param {object|null} props.next - Next post in the index order
+ * @param {Array} props.related - Related posts
  * @returns {JSX.Element} The rendered post page
  */
-export default function Post({ postData }) {
+export default function Post({ postData, preview, meta, jsonLd, previous, next, related }) {
     return (
-      <Layout>
-        {/* Set the page title to the post title */}
+      <Layout meta={meta}>
+        {/* Set the page title to the post title and add structured data for search engines */}
         <Head>
           <title>{postData.title}</title>
+          <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: jsonLd }} />
         </Head>
+
+        {/* Remind editors they are looking at unpublished content */}
+        {preview && (
+          <p className={utilStyles.previewBanner}>
+            Preview mode: you are seeing the latest draft.{' '}
+            {/* A plain link: API routes need a full request, not client-side navigation */}
+            <a href={`/api/exit-preview?redirect=${encodeURIComponent(postPath(postData.slug))}`}>Exit preview</a>
+          </p>
+        )}
         
         {/* Article element for semantic HTML */}
         <article className={utilStyles.articleContent}>
           {/* Display post title as main heading */}
-          <h1 className={utilStyles.headingXl}>{postData.title}</h1>
+          <h1 className={utilStyles.headingXl}>
+            {postData.title}
+            <StatusBadge status={postData.status} />
+          </h1>
           
-          {/* Display formatted publication date */}
+          {/* Display formatted publication date (linking to its month archive),
+              the last edit if it came on a later day, and the estimated time */}
           <div className={utilStyles.lightText}>
-            <Date dateString={postData.date} />
+            <Date dateString={postData.date} modifiedString={postData.modified} linkToArchive />
           </div>
+          <div className={utilStyles.lightText}>
+            <ReadingTime
+              readingMinutes={postData.readingMinutes}
+              wordCount={postData.wordCount}
+              videoSeconds={postData.videoSeconds}
+            />
+          </div>
+
+          {/* Display the post's categories and tags as links to their listing pages */}
+          <TermList taxonomy="categories" terms={postData.categories} />
+          <TermList taxonomy="tags" terms={postData.tags} />
           
-          {/* Render post HTML content from WordPress (includes paragraph tags, formatting, etc.) */}
-          <div className={utilStyles.blogContent} dangerouslySetInnerHTML={{ __html: postData.contentHtml }} />
+          {/* Render post HTML content (paragraphs, formatting, click-to-load videos, etc.) */}
+          <PostBody className={utilStyles.blogContent} html={postData.contentHtml} />
         </article>
+
+        {/* Where to go next: neighboring and related posts */}
+        <PostNavigation previous={previous} next={next} related={related} />
       </Layout>
     );
   }
@@ -0,0 +1,34 @@
+/**
+ * ROBOTS.TXT (robots.txt.js)
+ *
+ * Purpose: This route serves /robots.txt, allowing crawlers everywhere except
+ * the API routes and pointing them at /sitemap.xml. The sitemap URL is built
+ * from SITE_URL (see lib/config.js).
+ */
+
+// Import the robots.txt builder
+import { buildRobots } from '../lib/sitemap';
+
+/**
+ * getServerSideProps - Write robots.txt straight to the response
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.res - Node.js response object
+ * @returns {object} Empty props (the response has already been sent)
+ */
+export async function getServerSideProps({ res }) {
+  res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, s-maxage=86400');
+  res.end(buildRobots());
+
+  return { props: {} };
+}
+
+/**
+ * Robots - Nothing to render; getServerSideProps sends the text
+ *
+ * @returns {null}
+ */
+export default function Robots() {
+  return null;
+}
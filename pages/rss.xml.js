@@ -0,0 +1,47 @@
+/**
+ * RSS FEED (rss.xml.js)
+ *
+ * Purpose: This route serves the blog as an RSS 2.0 feed at /rss.xml, so
+ * readers can subscribe to new videos in any feed reader.
+ *
+ * Key Features:
+ * - Built from the same normalized post list the blog pages use
+ * - Full post content with absolute links (see lib/feeds.js)
+ * - Cached by the CDN for 10 minutes, then refreshed in the background
+ */
+
+// Import the site title, description and author shown in the feed
+import { authorName, siteDescription, siteTitle } from '../components/layout';
+
+// Import the function that returns every post with its content
+import { getAllPostsData } from '../lib/posts';
+
+// Import the RSS builder
+import { buildRss } from '../lib/feeds';
+
+/**
+ * getServerSideProps - Write the RSS document straight to the response
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.res - Node.js response object
+ * @returns {object} Empty props (the response has already been sent)
+ */
+export async function getServerSideProps({ res }) {
+  // Feeds always list the newest posts first, whatever the index order is
+  const posts = await getAllPostsData({ order: 'date-desc' });
+
+  res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, s-maxage=600, stale-while-revalidate=3600');
+  res.end(buildRss(posts, { title: siteTitle, description: siteDescription, author: authorName }));
+
+  return { props: {} };
+}
+
+/**
+ * RssFeed - Nothing to render; getServerSideProps sends the XML
+ *
+ * @returns {null}
+ */
+export default function RssFeed() {
+  return null;
+}
@@ -0,0 +1,150 @@
+/**
+ * SEARCH PAGE (search.js)
+ *
+ * Purpose: This page searches every post's title, content and tags as the
+ * visitor types. The search index is built at build time from the same post
+ * list as the rest of the site and searched in the browser, so no external
+ * search service is involved.
+ *
+ * Key Features:
+ * - Instant results, tolerant of typos and partial words (lib/search.js)
+ * - Matched words highlighted in the title and excerpt
+ * - Shareable URLs: the query is kept in ?q= (e.g. /search?q=south+park)
+ * - Uses ISR (regenerated by /api/revalidate) so new posts become searchable
+ */
+
+// Import React hooks for the query state and the loaded index
+import { useEffect, useMemo, useState } from 'react';
+
+// Import the Head component from Next.js for managing document head elements (title, meta tags)
+import Head from 'next/head';
+
+// Import the Link component and router from Next.js
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+
+// Import the Layout component and siteTitle constant from the layout component
+import Layout, { siteTitle } from '../components/layout';
+
+// Import the components that render dates, tags and highlighted text
+import Date from '../components/date';
+import TermList from '../components/term-list';
+import Highlight from '../components/highlight';
+
+// Import CSS module styles for utility classes (typography, spacing, etc.)
+import utilStyles from '../styles/utils.module.css';
+
+// Import the function that returns every post with its content
+import { getAllPostsData } from '../lib/posts';
+
+// Import the index builder (server) and the search helpers (browser)
+import { buildSearchIndex } from '../lib/search-index';
+import { loadSearchIndex, searchPosts } from '../lib/search';
+
+// Import the helper that builds each post's URL
+import { postPath } from '../lib/urls';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../lib/config';
+
+/**
+ * getStaticProps - Build the search index from every post
+ *
+ * @returns {object} Props with the serialized search index and revalidation time
+ */
+export async function getStaticProps() {
+  const posts = await getAllPostsData();
+
+  return {
+    props: {
+      searchIndex: buildSearchIndex(posts), // JSON string, loaded in the browser
+    },
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * Search - Search box with instant results
+ *
+ * @param {object} props - Component props
+ * @param {string} props.searchIndex - Serialized index from getStaticProps
+ * @returns {JSX.Element} The rendered search page
+ */
+export default function Search({ searchIndex }) {
+  const router = useRouter();
+  const index = useMemo(() => loadSearchIndex(searchIndex), [searchIndex]);
+  const [query, setQuery] = useState('');
+
+  // The page is static, so ?q= is only known once the router is ready; it
+  // also changes on client-side navigation (e.g. the browser's back button)
+  useEffect(() => {
+    if (router.isReady) {
+      setQuery(typeof router.query.q === 'string' ? router.query.q : '');
+    }
+  }, [router.isReady, router.query.q]);
+
+  const results = useMemo(() => searchPosts(index, query), [index, query]);
+
+  /**
+   * handleChange - Search as the visitor types and keep the URL shareable
+   *
+   * @param {object} event - Input change event
+   */
+  function handleChange(event) {
+    const { value } = event.target;
+    setQuery(value);
+    router.replace({ pathname: '/search', query: value ? { q: value } : {} }, undefined, { shallow: true });
+  }
+
+  return (
+    <Layout>
+      {/* Set the page title, including the query when there is one */}
+      <Head>
+        <title>{query ? `Search: ${query} - ${siteTitle}` : `Search - ${siteTitle}`}</title>
+      </Head>
+
+      <section className={utilStyles.headingMd}>
+        <h2 className={utilStyles.headingLg}>Search</h2>
+
+        {/* Without JavaScript the form still submits to /search?q=... */}
+        <form role="search" action="/search" onSubmit={event => event.preventDefault()}>
+          <input
+            type="search"
+            name="q"
+            value={query}
+            onChange={handleChange}
+            placeholder="Search posts…"
+            aria-label="Search posts"
+            className={utilStyles.searchInput}
+            autoFocus
+          />
+        </form>
+
+        {/* Result count, announced to screen readers as it changes */}
+        {query.trim() && (
+          <p className={utilStyles.lightText} aria-live="polite">
+            {results.length} {results.length === 1 ? 'result' : 'results'} for “{query.trim()}”
+          </p>
+        )}
+
+        <ul className={utilStyles.list}>
+          {results.map(result => (
+            <li className={utilStyles.listItem} key={result.id}>
+              <Link href={postPath(result.slug)}>
+                <Highlight text={result.title} terms={result.terms} />
+              </Link>
+              <br />
+              <small className={utilStyles.lightText}>
+                <Date dateString={result.date} />
+              </small>
+              <p className={utilStyles.searchSnippet}>
+                <Highlight text={result.excerpt} terms={result.terms} />
+              </p>
+              <TermList taxonomy="tags" terms={result.tagList} />
+            </li>
+          ))}
+        </ul>
+      </section>
+    </Layout>
+  );
+}
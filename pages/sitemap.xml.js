@@ -0,0 +1,40 @@
+/**
+ * SITEMAP (sitemap.xml.js)
+ *
+ * Purpose: This route serves /sitemap.xml, listing every public page with its
+ * last modification date so search engines can find and re-crawl posts.
+ *
+ * Key Features:
+ * - Home page, index pages, tag/category pages and every post (lib/sitemap.js)
+ * - <lastmod> taken from each post's modified date
+ * - Cached by the CDN for 10 minutes, then refreshed in the background
+ */
+
+// Import the functions that collect the entries and render the XML
+import { buildSitemap, getSitemapEntries } from '../lib/sitemap';
+
+/**
+ * getServerSideProps - Write the sitemap straight to the response
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.res - Node.js response object
+ * @returns {object} Empty props (the response has already been sent)
+ */
+export async function getServerSideProps({ res }) {
+  const entries = await getSitemapEntries();
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Cache-Control', 'public, s-maxage=600, stale-while-revalidate=3600');
+  res.end(buildSitemap(entries));
+
+  return { props: {} };
+}
+
+/**
+ * Sitemap - Nothing to render; getServerSideProps sends the XML
+ *
+ * @returns {null}
+ */
+export default function Sitemap() {
+  return null;
+}
@@ -0,0 +1,71 @@
+/**
+ * TAG LISTING PAGE (tags/[tag].js)
+ *
+ * Purpose: This page lists every post with one tag, e.g. /tags/south-park.
+ * Tags come from WordPress post tags and the `tags:` front matter field of
+ * markdown posts.
+ *
+ * Key Features:
+ * - Statically generates one page per tag used by at least one post
+ * - Uses ISR (regenerated by /api/revalidate) to pick up newly tagged posts
+ * - Returns a 404 for tags no post uses
+ */
+
+// Import the shared tag/category page body
+import TermListing from '../../components/term-listing';
+
+// Import the functions that list tags and the posts filed under one
+import { getAllTerms, getPostsByTerm } from '../../lib/posts';
+
+// Import configuration for the ISR safety-net interval
+import { config } from '../../lib/config';
+
+/**
+ * getStaticProps - Fetch the posts with the requested tag
+ *
+ * @param {object} context - Next.js context object
+ * @param {object} context.params - URL parameters
+ * @param {string} context.params.tag - The tag slug from the URL
+ * @returns {object} Props with the tag and its posts, or notFound if no post has the tag
+ */
+export async function getStaticProps({ params }) {
+  const listing = await getPostsByTerm('tags', params.tag);
+
+  if (!listing) {
+    return {
+      notFound: true,
+      revalidate: config.revalidateSeconds, // Check again later in case a post gets this tag
+    };
+  }
+
+  return {
+    props: listing, // { term: { name, slug }, posts }
+    revalidate: config.revalidateSeconds, // Safety net; /api/revalidate refreshes the page on publish (ISR)
+  };
+}
+
+/**
+ * getStaticPaths - Pre-generate one page per tag
+ *
+ * @returns {object} Object containing paths array and fallback mode
+ */
+export async function getStaticPaths() {
+  const tags = await getAllTerms('tags');
+
+  return {
+    paths: tags.map(tag => ({ params: { tag: tag.slug } })),
+    fallback: 'blocking', // Server-render tags added after the build on first request
+  };
+}
+
+/**
+ * TagPage - List every post with one tag
+ *
+ * @param {object} props - Component props
+ * @param {object} props.term - The tag's name and slug
+ * @param {Array} props.posts - Posts with the tag
+ * @returns {JSX.Element} The rendered tag page
+ */
+export default function TagPage({ term, posts }) {
+  return <TermListing taxonomy="tags" term={term} posts={posts} />;
+}
@@ -0,0 +1,31 @@
+/**
+ * RECORD API FIXTURE SCRIPT (record-fixture.mjs)
+ *
+ * Purpose: This script downloads the live WordPress feed, and the YouTube
+ * video lengths the post list looks up (with YOUTUBE_API_KEY set), and saves
+ * them to the fixture file (fixtures/wordpress.json by default), so later
+ * builds can run offline with CONTENT_FIXTURE_MODE=replay.
+ *
+ * Usage:
+ *   npm run record-fixture
+ *   CONTENT_FIXTURE_PATH=fixtures/other.json npm run record-fixture
+ *
+ * Commit the updated fixture file so CI and other machines replay the same data.
+ */
+
+// Switch the fetch layer into record mode before any library module reads the config
+process.env.CONTENT_FIXTURE_MODE = 'record';
+
+// Import the data layer after setting the mode so every request it makes is recorded
+const { getSortedPostsData } = await import('../lib/posts.js');
+const { config } = await import('../lib/config.js');
+
+try {
+  // Reads the feed, then looks up the video lengths in the same batches a build does
+  const posts = await getSortedPostsData();
+  const wordpressPosts = posts.filter(post => post.source === 'wordpress');
+  console.log(`Recorded ${wordpressPosts.length} WordPress posts to ${config.contentFixturePath}`);
+} catch (error) {
+  console.error(`Could not record the WordPress fixture: ${error.message}`);
+  process.exitCode = 1;
+}